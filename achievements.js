@@ -0,0 +1,228 @@
+/**
+ * =================================
+ * Cube Clicker - Achievements
+ * =================================
+ *
+ * Named milestones unlocked by watching game stats,
+ * each granting a small permanent score bonus
+ */
+
+/**
+ * Achievement definitions
+ *
+ * id          - Key used in saves
+ * icon, name  - Shown in toasts and the Achievements panel
+ * description - What the player has to do
+ * stat        - Game stat the achievement watches (see GameEngine.getAchievementStats)
+ * target      - Value of the stat that unlocks the achievement
+ * bonus       - Permanent score multiplier bonus while unlocked (0.02 = +2%)
+ */
+const ACHIEVEMENT_CATALOG = [
+    {
+        id: 'firstClick',
+        icon: '👆',
+        name: 'First Contact',
+        description: 'Click a cube',
+        stat: 'totalClicks',
+        target: 1,
+        bonus: 0.01
+    },
+    {
+        id: 'clicks100',
+        icon: '🖱️',
+        name: 'Warming Up',
+        description: 'Click cubes 100 times',
+        stat: 'totalClicks',
+        target: 100,
+        bonus: 0.02
+    },
+    {
+        id: 'clicks1000',
+        icon: '🔨',
+        name: 'Relentless',
+        description: 'Click cubes 1,000 times',
+        stat: 'totalClicks',
+        target: 1000,
+        bonus: 0.05
+    },
+    {
+        id: 'earned1000',
+        icon: '💰',
+        name: 'Pocket Change',
+        description: 'Earn 1,000 points in total',
+        stat: 'totalEarned',
+        target: 1000,
+        bonus: 0.02
+    },
+    {
+        id: 'earned100000',
+        icon: '💎',
+        name: 'Saturated Savings',
+        description: 'Earn 100,000 points in total',
+        stat: 'totalEarned',
+        target: 100000,
+        bonus: 0.05
+    },
+    {
+        id: 'upgrades10',
+        icon: '🛒',
+        name: 'Shopper',
+        description: 'Own 10 upgrade levels at once',
+        stat: 'upgradeLevels',
+        target: 10,
+        bonus: 0.02
+    },
+    {
+        id: 'upgrades50',
+        icon: '🏬',
+        name: 'Collector',
+        description: 'Own 50 upgrade levels at once',
+        stat: 'upgradeLevels',
+        target: 50,
+        bonus: 0.05
+    },
+    {
+        id: 'fragments200',
+        icon: '🎆',
+        name: 'Confetti Storm',
+        description: 'Have 200 fragments flying at once',
+        stat: 'fragments',
+        target: 200,
+        bonus: 0.03
+    },
+    {
+        id: 'firstRebirth',
+        icon: '🔄',
+        name: 'Born Again',
+        description: 'Rebirth for the first time',
+        stat: 'rebirthLevel',
+        target: 1,
+        bonus: 0.05
+    },
+    {
+        id: 'rebirth5',
+        icon: '♾️',
+        name: 'Cycle of Cubes',
+        description: 'Reach rebirth level 5',
+        stat: 'rebirthLevel',
+        target: 5,
+        bonus: 0.1
+    },
+    {
+        id: 'win',
+        icon: '🏆',
+        name: 'Full Color',
+        description: 'Reach maximum saturation',
+        stat: 'wins',
+        target: 1,
+        bonus: 0.1
+    }
+];
+
+/**
+ * Tracks which achievements are unlocked and checks stats against the catalog
+ */
+class AchievementTracker {
+    constructor(catalog = ACHIEVEMENT_CATALOG) {
+        this.achievements = new Map();
+        this.unlocked = new Set();
+
+        catalog.forEach(definition => this.register(definition));
+    }
+
+    /**
+     * Add an achievement definition
+     */
+    register(definition) {
+        if (this.achievements.has(definition.id)) {
+            throw new Error(`Achievement "${definition.id}" is already registered`);
+        }
+
+        this.achievements.set(definition.id, {
+            bonus: 0,
+            ...definition
+        });
+    }
+
+    /**
+     * Get an achievement definition by id
+     */
+    get(id) {
+        const definition = this.achievements.get(id);
+        if (!definition) {
+            throw new Error(`Unknown achievement "${id}"`);
+        }
+        return definition;
+    }
+
+    /**
+     * All achievements in display order
+     */
+    list() {
+        return Array.from(this.achievements.values());
+    }
+
+    isUnlocked(id) {
+        return this.unlocked.has(id);
+    }
+
+    /**
+     * Progress towards an achievement as a 0-1 fraction
+     */
+    getProgress(id, stats) {
+        if (this.isUnlocked(id)) return 1;
+
+        const achievement = this.get(id);
+        return Math.min((stats[achievement.stat] || 0) / achievement.target, 1);
+    }
+
+    /**
+     * Unlock every achievement whose target has been reached, returning the newly unlocked ones
+     */
+    check(stats) {
+        const newlyUnlocked = [];
+
+        this.achievements.forEach((achievement, id) => {
+            if (this.isUnlocked(id)) return;
+
+            if ((stats[achievement.stat] || 0) >= achievement.target) {
+                this.unlocked.add(id);
+                newlyUnlocked.push(achievement);
+            }
+        });
+
+        return newlyUnlocked;
+    }
+
+    /**
+     * Combined score multiplier bonus of all unlocked achievements
+     */
+    getScoreBonus() {
+        let bonus = 0;
+        this.unlocked.forEach(id => {
+            bonus += this.get(id).bonus;
+        });
+        return bonus;
+    }
+
+    /**
+     * Unlocked ids for saving
+     */
+    getSaveData() {
+        return Array.from(this.unlocked);
+    }
+
+    /**
+     * Restore unlocked ids from a save, ignoring achievements that no longer exist
+     */
+    load(ids) {
+        this.unlocked = new Set((ids || []).filter(id => this.achievements.has(id)));
+    }
+}
+
+/**
+ * Export for module systems
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AchievementTracker, ACHIEVEMENT_CATALOG };
+}
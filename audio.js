@@ -0,0 +1,294 @@
+/**
+ * =================================
+ * Cube Clicker - Audio
+ * =================================
+ *
+ * Procedural sound effects and ambient music through the Web Audio API
+ */
+
+// Note frequencies (Hz) used by the chimes and fanfare
+const NOTE_FREQUENCIES = {
+    C5: 523.25,
+    E5: 659.25,
+    G5: 783.99,
+    A5: 880,
+    C6: 1046.5,
+    E6: 1318.51
+};
+
+/**
+ * Synthesized game audio
+ *
+ * Nothing is created until start() is called from a user gesture, so browser
+ * autoplay rules never block the audio context. Each sound effect takes a voice;
+ * while maxVoices are playing, new sound effects are skipped.
+ *
+ * Signal chain: sounds → sound effect / music bus → master → compressor → speakers
+ */
+class GameAudio {
+    constructor(options = {}) {
+        this.maxVoices = options.maxVoices || 12;
+        this.context = null; // Created by start()
+        this.voices = []; // End times of the sound effects playing
+        this.volumes = { master: 1, sfx: 1, music: 1, muted: false };
+        this.musicEnabled = false;
+        this.ambient = null; // Nodes of the ambient loop while it plays
+    }
+
+    /**
+     * Create the audio context and buses (call from a user gesture)
+     */
+    start() {
+        if (this.context) {
+            this.resume();
+            return;
+        }
+
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) {
+            console.warn('Web Audio is not supported, the game will be silent');
+            return;
+        }
+
+        const context = new AudioContextClass();
+        this.context = context;
+
+        // The compressor keeps stacked explosions from clipping
+        this.compressor = context.createDynamicsCompressor();
+        this.compressor.connect(context.destination);
+
+        this.masterGain = context.createGain();
+        this.masterGain.connect(this.compressor);
+        this.sfxGain = context.createGain();
+        this.sfxGain.connect(this.masterGain);
+        this.musicGain = context.createGain();
+        this.musicGain.connect(this.masterGain);
+
+        this.noiseBuffer = this.createNoiseBuffer(1);
+        this.applyVolumes();
+
+        if (this.musicEnabled) {
+            this.startAmbient();
+        }
+    }
+
+    /**
+     * Pause all audio (e.g. while the tab is hidden)
+     */
+    suspend() {
+        if (this.context) {
+            this.context.suspend();
+        }
+    }
+
+    resume() {
+        if (this.context) {
+            this.context.resume();
+        }
+    }
+
+    /**
+     * Set the volumes (0 to 1) and mute: { master, sfx, music, muted }
+     */
+    setVolumes(volumes) {
+        this.volumes = { ...this.volumes, ...volumes };
+        this.applyVolumes();
+    }
+
+    applyVolumes() {
+        if (!this.context) return;
+
+        // Glide to the new levels so moving a slider doesn't click
+        const now = this.context.currentTime;
+        this.masterGain.gain.setTargetAtTime(this.volumes.muted ? 0 : this.volumes.master, now, 0.02);
+        this.sfxGain.gain.setTargetAtTime(this.volumes.sfx, now, 0.02);
+        this.musicGain.gain.setTargetAtTime(this.volumes.music, now, 0.02);
+    }
+
+    /**
+     * Turn the ambient loop on or off
+     */
+    setMusicEnabled(enabled) {
+        this.musicEnabled = enabled;
+        if (!this.context) return;
+
+        if (enabled) {
+            this.startAmbient();
+        } else {
+            this.stopAmbient();
+        }
+    }
+
+    /**
+     * Reserve a voice for a sound lasting `duration` seconds, or return false if none is free
+     */
+    claimVoice(duration) {
+        if (!this.context || this.volumes.muted) return false;
+
+        const now = this.context.currentTime;
+        this.voices = this.voices.filter(endTime => endTime > now);
+        if (this.voices.length >= this.maxVoices) return false;
+
+        this.voices.push(now + duration);
+        return true;
+    }
+
+    /**
+     * Explosion: a filtered noise burst over a falling sine thump
+     *
+     * force     - Explosion force (config.explosionForce); stronger is deeper and louder
+     * fragments - Fragments in the explosion; more make a longer, fuller burst
+     */
+    playExplosion(force, fragments) {
+        const size = Math.min(1, Math.log10(Math.max(fragments, 1)) / 3); // 1000 fragments is the biggest
+        const duration = 0.3 + size * 0.5;
+        if (!this.claimVoice(duration)) return;
+
+        const context = this.context;
+        const now = context.currentTime;
+        const loudness = Math.min(1, 0.4 + force * 0.4) * (0.5 + size * 0.5) * 0.5;
+
+        // Noise burst, darkening as it fades
+        const noise = context.createBufferSource();
+        noise.buffer = this.noiseBuffer;
+        noise.playbackRate.value = 0.8 + Math.random() * 0.4; // No two explosions sound the same
+        const filter = context.createBiquadFilter();
+        filter.type = 'lowpass';
+        const cutoff = 5000 / (1 + force);
+        filter.frequency.setValueAtTime(cutoff, now);
+        filter.frequency.exponentialRampToValueAtTime(cutoff * 0.1, now + duration);
+        noise.connect(filter);
+        filter.connect(this.createEnvelope(loudness, 0.005, duration, now));
+        noise.start(now);
+        noise.stop(now + duration);
+
+        // Low thump, pitched down by the force
+        const thump = context.createOscillator();
+        const pitch = 160 / (1 + force);
+        thump.frequency.setValueAtTime(pitch, now);
+        thump.frequency.exponentialRampToValueAtTime(pitch * 0.3, now + duration);
+        thump.connect(this.createEnvelope(loudness, 0.005, duration, now));
+        thump.start(now);
+        thump.stop(now + duration);
+    }
+
+    playPurchaseChime() {
+        this.playNotes([NOTE_FREQUENCIES.A5, NOTE_FREQUENCIES.E6], { type: 'triangle', step: 0.07, length: 0.25, peak: 0.2 });
+    }
+
+    playRebirthChime() {
+        const { C5, E5, G5, C6 } = NOTE_FREQUENCIES;
+        this.playNotes([C5, E5, G5, C6, G5, C6], { type: 'sine', step: 0.12, length: 0.9, peak: 0.25 });
+    }
+
+    playEventChime() {
+        const { E5, G5, C6, E6 } = NOTE_FREQUENCIES;
+        this.playNotes([E5, G5, C6, E6, C6, E6], { type: 'triangle', step: 0.05, length: 0.3, peak: 0.2 });
+    }
+
+    playWinFanfare() {
+        const { C5, E5, G5, C6, E6 } = NOTE_FREQUENCIES;
+        this.playNotes([C5, C5, E5, G5, C6, E6], { type: 'square', step: 0.15, length: 0.6, peak: 0.08 });
+        this.playNotes([C5 / 2, G5 / 2, C5], { type: 'triangle', step: 0.3, length: 1.4, peak: 0.2 });
+    }
+
+    /**
+     * Play a run of notes as one voice
+     *
+     * options: type (oscillator wave), step (seconds between notes), length (seconds per note), peak (gain)
+     */
+    playNotes(frequencies, options) {
+        const { type, step, length, peak } = options;
+        if (!this.claimVoice(step * (frequencies.length - 1) + length)) return;
+
+        const now = this.context.currentTime;
+        frequencies.forEach((frequency, index) => {
+            const start = now + index * step;
+            const oscillator = this.context.createOscillator();
+            oscillator.type = type;
+            oscillator.frequency.value = frequency;
+            oscillator.connect(this.createEnvelope(peak, 0.01, length, start));
+            oscillator.start(start);
+            oscillator.stop(start + length);
+        });
+    }
+
+    /**
+     * Start the ambient loop: a slowly breathing pad of detuned oscillators
+     */
+    startAmbient() {
+        if (this.ambient) return;
+
+        const context = this.context;
+        const output = context.createGain();
+        output.gain.setValueAtTime(0.0001, context.currentTime);
+        output.gain.exponentialRampToValueAtTime(0.15, context.currentTime + 3); // Fade in
+        output.connect(this.musicGain);
+
+        const filter = context.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = 600;
+        filter.connect(output);
+
+        // A slow LFO sweeps the filter so the pad drifts
+        const lfo = context.createOscillator();
+        lfo.frequency.value = 0.07;
+        const lfoDepth = context.createGain();
+        lfoDepth.gain.value = 300;
+        lfo.connect(lfoDepth);
+        lfoDepth.connect(filter.frequency);
+
+        const oscillators = [110, 110.6, 164.81, 220.4].map(frequency => {
+            const oscillator = context.createOscillator();
+            oscillator.type = 'sawtooth';
+            oscillator.frequency.value = frequency;
+            oscillator.connect(filter);
+            return oscillator;
+        });
+
+        [lfo, ...oscillators].forEach(oscillator => oscillator.start());
+        this.ambient = { output, sources: [lfo, ...oscillators] };
+    }
+
+    stopAmbient() {
+        if (!this.ambient) return;
+
+        const { output, sources } = this.ambient;
+        const now = this.context.currentTime;
+        output.gain.setTargetAtTime(0.0001, now, 0.3);
+        sources.forEach(source => source.stop(now + 1.5));
+        this.ambient = null;
+    }
+
+    /**
+     * A gain node with an attack/decay envelope, connected to the sound effect bus
+     */
+    createEnvelope(peak, attack, duration, start) {
+        const envelope = this.context.createGain();
+        envelope.gain.setValueAtTime(0.0001, start);
+        envelope.gain.exponentialRampToValueAtTime(peak, start + attack);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+        envelope.connect(this.sfxGain);
+        return envelope;
+    }
+
+    /**
+     * A buffer of white noise
+     */
+    createNoiseBuffer(seconds) {
+        const length = Math.floor(this.context.sampleRate * seconds);
+        const buffer = this.context.createBuffer(1, length, this.context.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+        return buffer;
+    }
+}
+
+/**
+ * Export for module systems
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GameAudio, NOTE_FREQUENCIES };
+}
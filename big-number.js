@@ -0,0 +1,345 @@
+/**
+ * =================================
+ * Cube Clicker - Big Numbers
+ * =================================
+ *
+ * Arbitrary-magnitude numbers for scores and costs,
+ * and the number notations they can be shown in
+ */
+
+// Values below this magnitude are kept as plain (exact) doubles
+const BIG_NUMBER_THRESHOLD = 1e300;
+const BIG_NUMBER_THRESHOLD_EXPONENT = 300;
+
+// Suffixes for standard notation, one per power of 1000
+const NUMBER_SUFFIXES = [
+    '', 'K', 'M', 'B', 'T', 'Qa', 'Qi', 'Sx', 'Sp', 'Oc', 'No',
+    'Dc', 'UDc', 'DDc', 'TDc', 'QaDc', 'QiDc', 'SxDc', 'SpDc', 'OcDc', 'NoDc', 'Vg'
+];
+
+/**
+ * Number notations
+ *
+ * standard    - 1.23M, falling back to scientific past the last suffix
+ * scientific  - 1.23e6
+ * engineering - 1.23e6 with exponents in multiples of 3 (12.3e6, 123e6)
+ * full        - 1,230,000
+ */
+const NUMBER_NOTATIONS = ['standard', 'scientific', 'engineering', 'full'];
+
+/**
+ * Immutable number of any magnitude: mantissa × 10^exponent
+ *
+ * While the value is below BIG_NUMBER_THRESHOLD the exponent is 0 and the mantissa
+ * is the plain value, so everyday maths is exactly ordinary double maths. Above it
+ * the mantissa is kept in [1, 10) and the exponent can grow without limit.
+ */
+class BigNum {
+    constructor(mantissa = 0, exponent = 0) {
+        this.mantissa = mantissa;
+        this.exponent = exponent;
+    }
+
+    /**
+     * Convert a number, numeric string ("1.5e400") or BigNum
+     */
+    static from(value) {
+        if (value instanceof BigNum) return value;
+        if (typeof value === 'number') return BigNum.fromParts(value, 0);
+        if (typeof value === 'string') return BigNum.parse(value);
+        throw new TypeError(`Can't convert ${value} to a BigNum`);
+    }
+
+    /**
+     * Parse a numeric string such as "1234", "1.5e400" or "2.5e+12"
+     */
+    static parse(text) {
+        const match = /^\s*(-?\d+(?:\.\d+)?)(?:e\+?(-?\d+))?\s*$/i.exec(text);
+        if (!match) {
+            throw new TypeError(`"${text}" is not a number`);
+        }
+        return BigNum.fromParts(Number(match[1]), match[2] ? Number(match[2]) : 0);
+    }
+
+    /**
+     * Whether a saved value (number or string) is a valid BigNum
+     */
+    static isValid(value) {
+        if (typeof value !== 'number' && typeof value !== 'string') return false;
+
+        try {
+            BigNum.from(value);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Build a BigNum from any mantissa and exponent, normalizing it
+     */
+    static fromParts(mantissa, exponent) {
+        if (!Number.isFinite(mantissa) || !Number.isFinite(exponent)) {
+            throw new RangeError(`BigNum can't hold ${mantissa}e${exponent}`);
+        }
+        if (mantissa === 0) return new BigNum(0, 0);
+        if (exponent === 0 && Math.abs(mantissa) < BIG_NUMBER_THRESHOLD) return new BigNum(mantissa, 0);
+
+        const shift = Math.floor(Math.log10(Math.abs(mantissa)));
+        let normalized = mantissa / Math.pow(10, shift);
+        let normalizedExponent = exponent + shift;
+
+        // Rounding can leave the mantissa just outside [1, 10)
+        if (Math.abs(normalized) >= 10) {
+            normalized /= 10;
+            normalizedExponent++;
+        } else if (Math.abs(normalized) < 1) {
+            normalized *= 10;
+            normalizedExponent--;
+        }
+
+        if (normalizedExponent < BIG_NUMBER_THRESHOLD_EXPONENT) {
+            return new BigNum(normalized * Math.pow(10, normalizedExponent), 0);
+        }
+        return new BigNum(normalized, normalizedExponent);
+    }
+
+    /**
+     * 10^log as a BigNum
+     */
+    static fromLog10(log) {
+        const exponent = Math.floor(log);
+        return BigNum.fromParts(Math.pow(10, log - exponent), exponent);
+    }
+
+    static max(a, b) {
+        return BigNum.from(a).gte(b) ? BigNum.from(a) : BigNum.from(b);
+    }
+
+    static min(a, b) {
+        return BigNum.from(a).lte(b) ? BigNum.from(a) : BigNum.from(b);
+    }
+
+    /**
+     * Mantissa in [1, 10) and exponent, whatever the size
+     */
+    parts() {
+        if (this.exponent !== 0 || this.mantissa === 0) {
+            return { mantissa: this.mantissa, exponent: this.exponent };
+        }
+
+        let exponent = Math.floor(Math.log10(Math.abs(this.mantissa)));
+        let mantissa = this.mantissa / Math.pow(10, exponent);
+        if (Math.abs(mantissa) >= 10) {
+            mantissa /= 10;
+            exponent++;
+        }
+        return { mantissa, exponent };
+    }
+
+    add(other) {
+        const b = BigNum.from(other);
+
+        if (this.exponent === 0 && b.exponent === 0) {
+            const sum = this.mantissa + b.mantissa;
+            if (Math.abs(sum) < BIG_NUMBER_THRESHOLD) return new BigNum(sum, 0);
+        }
+
+        const x = this.parts();
+        const y = b.parts();
+        if (x.mantissa === 0) return b;
+        if (y.mantissa === 0) return this;
+
+        const [larger, smaller] = x.exponent >= y.exponent ? [x, y] : [y, x];
+        const gap = larger.exponent - smaller.exponent;
+
+        // Too small to change any digit of the larger value
+        if (gap > 17) return BigNum.fromParts(larger.mantissa, larger.exponent);
+
+        return BigNum.fromParts(larger.mantissa + smaller.mantissa / Math.pow(10, gap), larger.exponent);
+    }
+
+    sub(other) {
+        return this.add(BigNum.from(other).neg());
+    }
+
+    neg() {
+        return new BigNum(-this.mantissa, this.exponent);
+    }
+
+    mul(other) {
+        const b = BigNum.from(other);
+
+        if (this.exponent === 0 && b.exponent === 0) {
+            const product = this.mantissa * b.mantissa;
+            if (Math.abs(product) < BIG_NUMBER_THRESHOLD) return new BigNum(product, 0);
+        }
+
+        const x = this.parts();
+        const y = b.parts();
+        return BigNum.fromParts(x.mantissa * y.mantissa, x.exponent + y.exponent);
+    }
+
+    div(other) {
+        const b = BigNum.from(other);
+        if (b.isZero()) {
+            throw new RangeError('BigNum division by zero');
+        }
+
+        if (this.exponent === 0 && b.exponent === 0) {
+            const quotient = this.mantissa / b.mantissa;
+            if (Math.abs(quotient) < BIG_NUMBER_THRESHOLD) return new BigNum(quotient, 0);
+        }
+
+        const x = this.parts();
+        const y = b.parts();
+        return BigNum.fromParts(x.mantissa / y.mantissa, x.exponent - y.exponent);
+    }
+
+    /**
+     * Raise a non-negative value to a (plain number) power
+     */
+    pow(power) {
+        if (this.exponent === 0) {
+            const result = Math.pow(this.mantissa, power);
+            if (Number.isFinite(result) && Math.abs(result) < BIG_NUMBER_THRESHOLD) return new BigNum(result, 0);
+        }
+        return BigNum.fromLog10(this.log10() * power);
+    }
+
+    sqrt() {
+        return this.pow(0.5);
+    }
+
+    log10() {
+        if (this.exponent === 0) return Math.log10(this.mantissa);
+        return Math.log10(this.mantissa) + this.exponent;
+    }
+
+    /**
+     * Round down (big values have no fractional digits left to drop)
+     */
+    floor() {
+        return this.exponent === 0 ? new BigNum(Math.floor(this.mantissa), 0) : this;
+    }
+
+    ceil() {
+        return this.exponent === 0 ? new BigNum(Math.ceil(this.mantissa), 0) : this;
+    }
+
+    /**
+     * -1, 0 or 1 as this value is below, equal to or above another
+     */
+    cmp(other) {
+        const b = BigNum.from(other);
+
+        if (this.exponent === 0 && b.exponent === 0) {
+            if (this.mantissa === b.mantissa) return 0;
+            return this.mantissa > b.mantissa ? 1 : -1;
+        }
+
+        const x = this.parts();
+        const y = b.parts();
+        const sign = Math.sign(x.mantissa);
+        if (sign !== Math.sign(y.mantissa)) return sign > Math.sign(y.mantissa) ? 1 : -1;
+        if (x.exponent !== y.exponent) return (x.exponent > y.exponent ? 1 : -1) * sign;
+        if (x.mantissa === y.mantissa) return 0;
+        return x.mantissa > y.mantissa ? 1 : -1;
+    }
+
+    eq(other) {
+        return this.cmp(other) === 0;
+    }
+
+    lt(other) {
+        return this.cmp(other) < 0;
+    }
+
+    lte(other) {
+        return this.cmp(other) <= 0;
+    }
+
+    gt(other) {
+        return this.cmp(other) > 0;
+    }
+
+    gte(other) {
+        return this.cmp(other) >= 0;
+    }
+
+    isZero() {
+        return this.mantissa === 0;
+    }
+
+    /**
+     * Closest plain number (Infinity past the double range)
+     */
+    toNumber() {
+        return this.exponent === 0 ? this.mantissa : this.mantissa * Math.pow(10, this.exponent);
+    }
+
+    toString() {
+        return this.exponent === 0 ? String(this.mantissa) : `${this.mantissa}e${this.exponent}`;
+    }
+
+    /**
+     * Saved form: a plain number while it fits, otherwise a string
+     */
+    toJSON() {
+        return this.exponent === 0 ? this.mantissa : this.toString();
+    }
+
+    /**
+     * Whole-number display text in one of NUMBER_NOTATIONS
+     */
+    format(notation = 'standard') {
+        const value = this.floor();
+        if (value.mantissa < 0) return `-${value.neg().format(notation)}`;
+
+        // Small numbers read the same in every notation
+        if (value.lt(1000)) return value.mantissa.toLocaleString();
+
+        if (notation === 'full') return value.toFullString();
+
+        const { mantissa, exponent } = value.parts();
+
+        if (notation === 'engineering') {
+            const engineeringExponent = exponent - (exponent % 3);
+            return `${BigNum.truncate(mantissa * Math.pow(10, exponent - engineeringExponent))}e${engineeringExponent}`;
+        }
+
+        const group = Math.floor(exponent / 3);
+        if (notation === 'standard' && group < NUMBER_SUFFIXES.length) {
+            return `${BigNum.truncate(mantissa * Math.pow(10, exponent - group * 3))}${NUMBER_SUFFIXES[group]}`;
+        }
+
+        return `${BigNum.truncate(mantissa)}e${exponent}`;
+    }
+
+    /**
+     * Every digit, with thousands separators
+     */
+    toFullString() {
+        if (this.exponent === 0) return this.mantissa.toLocaleString();
+
+        const separator = (1000).toLocaleString().charAt(1);
+        const digits = this.mantissa.toFixed(15).replace('.', '') + '0'.repeat(Math.max(0, this.exponent - 15));
+        return digits.replace(/\B(?=(\d{3})+(?!\d))/g, separator);
+    }
+
+    /**
+     * Show 3 significant digits of a value below 1000, rounding down so it never overstates
+     */
+    static truncate(value) {
+        const decimals = value < 10 ? 2 : value < 100 ? 1 : 0;
+        const scale = Math.pow(10, decimals);
+        return (Math.floor(value * scale + 1e-9) / scale).toFixed(decimals);
+    }
+}
+
+/**
+ * Export for module systems
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BigNum, NUMBER_NOTATIONS, NUMBER_SUFFIXES };
+}
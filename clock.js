@@ -0,0 +1,138 @@
+/**
+ * =================================
+ * Cube Clicker - Game Clock
+ * =================================
+ *
+ * Fixed-timestep simulation clock with its own timers,
+ * so the game plays the same at any frame rate
+ */
+
+/**
+ * Central game clock
+ *
+ * Real frame time is fed in with advance(); the simulation then runs in fixed
+ * steps and timers fire on simulation time. While paused nothing advances.
+ * Times are in milliseconds, update callbacks receive the step in seconds.
+ */
+class GameClock {
+    constructor(options = {}) {
+        this.step = options.step || 1000 / 60; // ms per simulation step
+        this.maxFrameTime = options.maxFrameTime || 250; // Most real ms simulated per frame (avoids a catch-up spiral)
+
+        this.time = 0; // Simulation ms since the clock started
+        this.accumulator = 0; // Real ms not yet simulated
+        this.isPaused = false;
+
+        this.updates = [];
+        this.timers = new Map();
+        this.nextTimerId = 1;
+    }
+
+    /**
+     * Current simulation time in ms
+     */
+    now() {
+        return this.time;
+    }
+
+    /**
+     * Run a callback on every simulation step with the step length in seconds
+     */
+    onUpdate(callback) {
+        this.updates.push(callback);
+    }
+
+    /**
+     * Run a callback once after a delay of simulation time
+     */
+    setTimeout(callback, delay) {
+        return this.addTimer(callback, delay, null);
+    }
+
+    /**
+     * Run a callback repeatedly on simulation time
+     */
+    setInterval(callback, interval) {
+        return this.addTimer(callback, interval, interval);
+    }
+
+    clearTimer(id) {
+        this.timers.delete(id);
+    }
+
+    addTimer(callback, delay, interval) {
+        const id = this.nextTimerId++;
+        this.timers.set(id, { callback, dueAt: this.time + delay, interval });
+        return id;
+    }
+
+    /**
+     * Feed in real elapsed ms and run as many fixed steps as fit
+     *
+     * Returns how far (0 to 1) the leftover time is into the next step, for interpolated rendering
+     */
+    advance(elapsed) {
+        if (this.isPaused) return 0;
+
+        this.accumulator += Math.min(Math.max(elapsed, 0), this.maxFrameTime);
+        while (this.accumulator >= this.step) {
+            this.accumulator -= this.step;
+            this.tick();
+        }
+
+        return this.accumulator / this.step;
+    }
+
+    /**
+     * Run exactly one simulation step
+     */
+    tick() {
+        this.time += this.step;
+
+        const dt = this.step / 1000;
+        this.updates.forEach(update => update(dt));
+        this.runTimers();
+    }
+
+    /**
+     * Run whole simulation steps covering a span of ms, ignoring pause (for tests and catch-up)
+     */
+    runFor(duration) {
+        const steps = Math.ceil(duration / this.step);
+        for (let i = 0; i < steps; i++) {
+            this.tick();
+        }
+    }
+
+    /**
+     * Fire every timer that has come due
+     */
+    runTimers() {
+        this.timers.forEach((timer, id) => {
+            if (this.time < timer.dueAt) return;
+
+            if (timer.interval === null) {
+                this.timers.delete(id);
+            } else {
+                timer.dueAt += timer.interval;
+            }
+            timer.callback();
+        });
+    }
+
+    pause() {
+        this.isPaused = true;
+        this.accumulator = 0;
+    }
+
+    resume() {
+        this.isPaused = false;
+    }
+}
+
+/**
+ * Export for module systems
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameClock;
+}
@@ -0,0 +1,338 @@
+/**
+ * =================================
+ * Cube Clicker - Cloud Sync
+ * =================================
+ *
+ * Accounts and cloud saves through a small REST save service
+ * (mock-cloud-server.js runs one locally)
+ */
+
+/**
+ * Save service API, relative to the base URL
+ *
+ * POST /sign-in  { username, password }  → { token, username }  (401 for a wrong password)
+ * POST /sign-out                         → 204
+ * GET  /save                             → { save, revision, savedAt }  (404 before the first upload)
+ * PUT  /save     { save, baseRevision }  → { revision, savedAt }
+ *                                          (409 with the cloud { save, revision, savedAt } when baseRevision
+ *                                          isn't the latest revision, i.e. another device uploaded since)
+ *
+ * Every request but sign-in sends the token as "Authorization: Bearer <token>";
+ * a 401 means the session ended and signs the player out.
+ */
+
+/**
+ * Signs in, uploads and downloads saves, and spots saves that diverged on two devices
+ *
+ * Uploads go through a one-entry queue: only the newest save is kept, and it stays
+ * queued (in localStorage too, so it survives a reload) until the service accepts it.
+ * While offline, flush() leaves it queued; call it again when the connection returns.
+ *
+ * Status changes are emitted as 'syncStatus' on the event bus (see events.js).
+ */
+class CloudSync {
+    constructor(options = {}) {
+        this.baseUrl = (options.baseUrl || '').replace(/\/$/, '');
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+        this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.storageKey = options.storageKey || 'cubeClickerCloud';
+        this.events = options.events || null;
+
+        this.session = null; // { token, username } while signed in
+        this.revision = null; // Cloud revision this device last uploaded or downloaded
+        this.pending = null; // Newest save waiting to be uploaded
+        this.status = 'signedOut';
+        this.flushing = null; // Promise of the upload in progress
+
+        this.restore();
+        if (this.session) {
+            this.status = this.pending ? 'pending' : 'synced';
+        }
+    }
+
+    isSignedIn() {
+        return this.session !== null;
+    }
+
+    getUsername() {
+        return this.session ? this.session.username : null;
+    }
+
+    /**
+     * Sign in, forgetting the sync state of any previous account
+     */
+    async signIn(username, password) {
+        const response = await this.request('POST', '/sign-in', { username, password });
+        if (response.status === 401) {
+            throw new Error('Wrong username or password');
+        }
+        this.checkResponse(response);
+
+        this.session = { token: response.data.token, username: response.data.username };
+        this.revision = null;
+        this.pending = null;
+        this.persist();
+        this.setStatus('synced');
+    }
+
+    /**
+     * Sign out, dropping the session and any upload still queued
+     */
+    async signOut() {
+        if (!this.session) return;
+
+        try {
+            await this.request('POST', '/sign-out');
+        } catch (error) {
+            // The token is forgotten either way
+        }
+
+        this.session = null;
+        this.revision = null;
+        this.pending = null;
+        this.persist();
+        this.setStatus('signedOut');
+    }
+
+    /**
+     * The cloud save: { save, revision, savedAt }, or null if there is none yet
+     */
+    async download() {
+        const response = await this.request('GET', '/save');
+        if (response.status === 404) return null;
+        this.checkResponse(response);
+        return response.data;
+    }
+
+    /**
+     * Upload a save on top of baseRevision (the last revision seen here)
+     *
+     * Returns { status: 'uploaded' }, or { status: 'conflict', local, remote } if another
+     * device uploaded since; upload again with remote.revision as the base to overwrite it.
+     * A 409 without a cloud save (it was deleted or lost) has nothing to pick between,
+     * so the upload is retried once on top of the revision the service reports.
+     */
+    async upload(save, baseRevision = this.revision) {
+        const response = await this.request('PUT', '/save', { save, baseRevision });
+
+        if (response.status === 409) {
+            const remote = response.data || {};
+            if (!remote.save) {
+                const currentRevision = remote.revision !== undefined ? remote.revision : null;
+                if (currentRevision === baseRevision) {
+                    this.setStatus('error');
+                    throw new Error('The cloud save service rejected the upload');
+                }
+                this.revision = currentRevision;
+                return this.upload(save, currentRevision);
+            }
+
+            this.setStatus('conflict');
+            return { status: 'conflict', local: save, remote };
+        }
+        this.checkResponse(response);
+
+        this.revision = response.data.revision;
+        if (this.pending === save) {
+            this.pending = null;
+        }
+        this.persist();
+        this.setStatus(this.pending ? 'pending' : 'synced');
+        return { status: 'uploaded' };
+    }
+
+    /**
+     * Queue a save for upload (replacing any save already queued) and try to send it
+     */
+    queue(save) {
+        if (!this.session) return Promise.resolve({ status: 'signedOut' });
+
+        this.pending = save;
+        this.persist();
+        return this.flush();
+    }
+
+    /**
+     * Upload the queued save, if any. Resolves like upload(), or with { status: 'offline' }
+     * when the service can't be reached (the save stays queued).
+     */
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.sendPending().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    async sendPending() {
+        if (!this.session) return { status: 'signedOut' };
+        if (!this.pending) return { status: 'uploaded' };
+
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            this.setStatus('offline');
+            return { status: 'offline' };
+        }
+
+        try {
+            return await this.upload(this.pending);
+        } catch (error) {
+            if (error.offline) {
+                this.setStatus('offline');
+                return { status: 'offline' };
+            }
+            this.setStatus('error');
+            throw error;
+        }
+    }
+
+    /**
+     * Bring this device and the cloud in line, starting from the local save
+     *
+     * Uploads the local save when the cloud has nothing newer than this device last saw.
+     * If another device uploaded since, nothing is changed and
+     * { status: 'conflict', local, remote } is returned for the player to pick one (see resolve).
+     */
+    async sync(localSave) {
+        if (!this.session) return { status: 'signedOut' };
+
+        this.pending = localSave;
+        this.persist();
+        this.setStatus('syncing');
+
+        let remote;
+        try {
+            remote = await this.download();
+        } catch (error) {
+            this.setStatus(error.offline ? 'offline' : 'error');
+            if (error.offline) return { status: 'offline' };
+            throw error;
+        }
+
+        if (remote && remote.revision !== this.revision) {
+            this.setStatus('conflict');
+            return { status: 'conflict', local: localSave, remote };
+        }
+
+        // The cloud save is gone (deleted, or lost by the service): start again from no revision
+        if (!remote && this.revision !== null) {
+            this.revision = null;
+            this.persist();
+        }
+
+        return this.flush();
+    }
+
+    /**
+     * Settle a conflict with the player's pick
+     *
+     * 'local' overwrites the cloud save with this device's save. 'cloud' drops the local
+     * save and returns { status: 'downloaded', save } for the caller to load.
+     */
+    async resolve(conflict, choice) {
+        if (choice === 'local') {
+            this.pending = conflict.local;
+            return this.upload(conflict.local, conflict.remote.revision);
+        }
+
+        this.revision = conflict.remote.revision;
+        this.pending = null;
+        this.persist();
+        this.setStatus('synced');
+        return { status: 'downloaded', save: conflict.remote.save };
+    }
+
+    /**
+     * Send a request, resolving with { status, data }. Rejects with an error
+     * marked `offline` when the service can't be reached at all.
+     */
+    async request(method, path, body) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.session) {
+            headers.Authorization = `Bearer ${this.session.token}`;
+        }
+
+        let response;
+        try {
+            response = await this.fetch(`${this.baseUrl}${path}`, {
+                method,
+                headers,
+                body: body === undefined ? undefined : JSON.stringify(body)
+            });
+        } catch (error) {
+            const offline = new Error('The cloud save service is unreachable');
+            offline.offline = true;
+            throw offline;
+        }
+
+        let data = null;
+        if (response.status !== 204) {
+            data = await response.json().catch(() => null);
+        }
+        return { status: response.status, data };
+    }
+
+    /**
+     * Throw for an unsuccessful response, signing out if the session ended
+     */
+    checkResponse(response) {
+        if (response.status >= 200 && response.status < 300) return;
+
+        if (response.status === 401 && this.session) {
+            this.session = null;
+            this.pending = null;
+            this.persist();
+            this.setStatus('signedOut');
+            throw new Error('Your session has ended, please sign in again');
+        }
+
+        const message = response.data && response.data.error;
+        throw new Error(message || `Cloud save request failed (${response.status})`);
+    }
+
+    setStatus(status) {
+        this.status = status;
+        if (this.events) {
+            this.events.emit('syncStatus', { status, username: this.getUsername() });
+        }
+    }
+
+    /**
+     * Keep the session, revision and queued save across reloads
+     */
+    persist() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify({
+                session: this.session,
+                revision: this.revision,
+                pending: this.pending
+            }));
+        } catch (error) {
+            console.error('Error saving cloud sync state:', error);
+        }
+    }
+
+    restore() {
+        if (!this.storage) return;
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.storageKey));
+            if (saved && saved.session && saved.session.token) {
+                this.session = saved.session;
+                this.revision = saved.revision !== undefined ? saved.revision : null;
+                this.pending = saved.pending || null;
+            }
+        } catch (error) {
+            console.error('Error loading cloud sync state:', error);
+        }
+    }
+}
+
+/**
+ * Export for module systems
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CloudSync;
+}
@@ -0,0 +1,89 @@
+/**
+ * =================================
+ * Cube Clicker - Event Bus
+ * =================================
+ *
+ * Publish/subscribe hub shared by the game engine, the 3D view and plugins
+ */
+
+/**
+ * Game events and their payloads
+ *
+ * Emitted by the game engine:
+ * click            - { points, isCritical, zone, combo } a cube was clicked (see GameEngine.click)
+ * scoreChanged     - { score, points, clicks, source: 'click' | 'auto' | 'offline' | 'event' }
+ * upgradePurchased - { id, amount, cost, level }
+ * rebirth          - { upgradeId, essence, cubeCount }
+ * achievement      - The unlocked achievement definition
+ * win              - { tier, name, loaded } (loaded: found in a save being loaded, not won in play)
+ * tier             - { tier, name } after moving on from a win
+ * offline          - { seconds, clicks, points, wasCapped }
+ * randomEvent      - The random event definition whose cube just spawned
+ * randomEventCaught  - { event, points } (points is null for buff-only events)
+ * randomEventEscaped - The random event definition whose cube got away
+ * buffEnded        - The random event definition whose buff just ran out
+ * load             - The game state just applied (from storage or an import)
+ *
+ * Emitted by the view:
+ * explode          - { cube, impactPoint, fragments, burst }
+ * save             - The game state just written to storage
+ * settingsChanged  - { key, value }
+ *
+ * Emitted by cloud sync (see cloud-sync.js):
+ * syncStatus       - { status, username } status is 'signedOut', 'syncing', 'synced', 'pending',
+ *                    'offline', 'conflict' or 'error'
+ */
+class EventBus {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    /**
+     * Subscribe to an event, returning a function that unsubscribes
+     */
+    on(event, handler) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(handler);
+        return () => this.off(event, handler);
+    }
+
+    /**
+     * Subscribe to the next emit of an event only
+     */
+    once(event, handler) {
+        const unsubscribe = this.on(event, data => {
+            unsubscribe();
+            handler(data);
+        });
+        return unsubscribe;
+    }
+
+    off(event, handler) {
+        const handlers = this.listeners.get(event);
+        if (handlers) {
+            this.listeners.set(event, handlers.filter(existing => existing !== handler));
+        }
+    }
+
+    /**
+     * Call every handler of an event (a throwing handler doesn't stop the others)
+     */
+    emit(event, data) {
+        (this.listeners.get(event) || []).forEach(handler => {
+            try {
+                handler(data);
+            } catch (error) {
+                console.error(`Error in "${event}" handler:`, error);
+            }
+        });
+    }
+}
+
+/**
+ * Export for module systems
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EventBus;
+}
@@ -0,0 +1,224 @@
+/**
+ * =================================
+ * Cube Clicker - Fragment Pool
+ * =================================
+ *
+ * Explosion fragments drawn through a single InstancedMesh,
+ * with time-based physics, floor collisions and a live-fragment budget
+ */
+
+/**
+ * Pooled, instanced explosion fragments
+ *
+ * Fragments are plain state objects recycled through a free list; the oldest
+ * live fragments are recycled first once the budget is reached.
+ */
+class FragmentPool {
+    constructor(scene, options = {}) {
+        this.scene = scene;
+        this.capacity = options.capacity || 2000; // Live-fragment budget
+        this.size = options.size || 0.22;
+        this.gravity = options.gravity || -36; // Units per second squared
+        this.airDrag = options.airDrag || 0.74; // Fraction of speed kept after one second
+        this.restitution = options.restitution || 0.4; // Bounce height kept on each floor hit
+        this.floorFriction = options.floorFriction || 0.8; // Sliding speed kept on each floor hit
+        this.settleSpeed = options.settleSpeed || 0.5; // Below this vertical speed a fragment comes to rest
+        this.floorY = options.floorY !== undefined ? options.floorY : -3;
+
+        this.fragments = []; // Live fragments, oldest first
+        this.free = []; // Recycled fragment state objects
+        this.palette = [new THREE.Color(0x808080)];
+
+        this.dummy = new THREE.Object3D();
+        this.createMesh();
+    }
+
+    /**
+     * Create the instanced mesh sized to the budget
+     */
+    createMesh() {
+        this.geometry = new THREE.BoxGeometry(this.size, this.size, this.size);
+        this.material = new THREE.MeshLambertMaterial({ color: 0xffffff }); // Tinted per instance
+        this.mesh = new THREE.InstancedMesh(this.geometry, this.material, this.capacity);
+        this.mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        this.mesh.castShadow = true;
+        this.mesh.frustumCulled = false; // Instances spread far beyond the geometry's own bounds
+
+        // Allocate instance colors up front (sized from the count, so before it is zeroed)
+        this.mesh.setColorAt(0, this.palette[0]);
+        this.mesh.count = 0;
+
+        this.scene.add(this.mesh);
+    }
+
+    /**
+     * Number of live fragments
+     */
+    get count() {
+        return this.fragments.length;
+    }
+
+    /**
+     * Change the live-fragment budget, recycling the oldest fragments if needed
+     */
+    setCapacity(capacity) {
+        if (capacity === this.capacity) return;
+
+        this.recycle(this.fragments.length - capacity);
+
+        this.scene.remove(this.mesh);
+        this.mesh.dispose();
+        this.geometry.dispose();
+        this.material.dispose();
+
+        this.capacity = capacity;
+        this.createMesh();
+    }
+
+    /**
+     * Set the colors fragments are tinted with, indexed by each fragment's colorIndex
+     */
+    setPalette(colors) {
+        this.palette = colors.map(color => new THREE.Color(color));
+    }
+
+    /**
+     * Add a fragment, recycling the oldest one if the budget is full
+     *
+     * All vectors are copied, so callers can reuse them
+     */
+    spawn(position, rotation, velocity, angularVelocity, colorIndex) {
+        if (this.fragments.length >= this.capacity) {
+            this.recycle(this.fragments.length - this.capacity + 1);
+        }
+
+        const fragment = this.free.pop() || {
+            position: new THREE.Vector3(),
+            rotation: new THREE.Euler(),
+            previousPosition: new THREE.Vector3(),
+            previousRotation: new THREE.Euler(),
+            velocity: new THREE.Vector3(),
+            angularVelocity: new THREE.Vector3(),
+            colorIndex: 0,
+            isResting: false
+        };
+
+        fragment.position.copy(position);
+        fragment.rotation.copy(rotation);
+        fragment.previousPosition.copy(position);
+        fragment.previousRotation.copy(rotation);
+        fragment.velocity.copy(velocity);
+        fragment.angularVelocity.copy(angularVelocity);
+        fragment.colorIndex = colorIndex;
+        fragment.isResting = false;
+
+        this.fragments.push(fragment);
+        return fragment;
+    }
+
+    /**
+     * Return the oldest live fragments to the free list
+     */
+    recycle(amount) {
+        if (amount <= 0) return;
+        this.free.push(...this.fragments.splice(0, amount));
+    }
+
+    /**
+     * Advance fragment physics by one step of dt seconds
+     */
+    update(dt) {
+        const drag = Math.pow(this.airDrag, dt);
+        const floor = this.floorY + this.size / 2;
+
+        this.fragments.forEach(fragment => {
+            const { position, velocity, rotation, angularVelocity } = fragment;
+
+            // Remember the last step for interpolated rendering
+            fragment.previousPosition.copy(position);
+            fragment.previousRotation.copy(rotation);
+
+            if (fragment.isResting) return;
+
+            // Apply gravity
+            velocity.y += this.gravity * dt;
+
+            // Update position and rotation
+            position.addScaledVector(velocity, dt);
+            rotation.x += angularVelocity.x * dt;
+            rotation.y += angularVelocity.y * dt;
+            rotation.z += angularVelocity.z * dt;
+
+            // Add air resistance
+            velocity.multiplyScalar(drag);
+            angularVelocity.multiplyScalar(drag);
+
+            // Bounce off the floor, losing speed until the fragment settles
+            if (position.y < floor) {
+                position.y = floor;
+
+                if (velocity.y < 0) {
+                    velocity.y = -velocity.y * this.restitution;
+                    velocity.x *= this.floorFriction;
+                    velocity.z *= this.floorFriction;
+                    angularVelocity.multiplyScalar(this.floorFriction);
+                }
+
+                if (velocity.y < this.settleSpeed) {
+                    fragment.isResting = true;
+                    velocity.set(0, 0, 0);
+                    angularVelocity.set(0, 0, 0);
+                    rotation.x = Math.round(rotation.x / (Math.PI / 2)) * (Math.PI / 2); // Lie flat
+                    rotation.z = Math.round(rotation.z / (Math.PI / 2)) * (Math.PI / 2);
+                }
+            }
+        });
+    }
+
+    /**
+     * Write every live fragment's transform and color into the instanced mesh,
+     * alpha (0 to 1) of the way from the previous step to the current one
+     */
+    render(alpha = 1) {
+        this.fragments.forEach((fragment, index) => {
+            const { previousRotation, rotation } = fragment;
+
+            this.dummy.position.lerpVectors(fragment.previousPosition, fragment.position, alpha);
+            this.dummy.rotation.set(
+                previousRotation.x + (rotation.x - previousRotation.x) * alpha,
+                previousRotation.y + (rotation.y - previousRotation.y) * alpha,
+                previousRotation.z + (rotation.z - previousRotation.z) * alpha
+            );
+            this.dummy.updateMatrix();
+            this.mesh.setMatrixAt(index, this.dummy.matrix);
+            this.mesh.setColorAt(index, this.palette[fragment.colorIndex % this.palette.length]);
+        });
+
+        this.mesh.count = this.fragments.length;
+        this.mesh.instanceMatrix.needsUpdate = true;
+        this.mesh.instanceColor.needsUpdate = true;
+    }
+
+    /**
+     * Remove every live fragment
+     */
+    clear() {
+        this.recycle(this.fragments.length);
+        this.mesh.count = 0;
+    }
+
+    dispose() {
+        this.clear();
+        this.scene.remove(this.mesh);
+        this.mesh.dispose();
+        this.geometry.dispose();
+        this.material.dispose();
+    }
+}
+
+/**
+ * Export for module systems
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FragmentPool;
+}
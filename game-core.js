@@ -0,0 +1,802 @@
+/**
+ * =================================
+ * Cube Clicker - Game Core
+ * =================================
+ *
+ * Headless game state and rules: score, upgrades, rebirths, saturation tiers,
+ * achievements, random events, statistics and saves.
+ * No Three.js or DOM access, so it runs in Node as well as the browser.
+ */
+
+/**
+ * Dependencies: globals from earlier <script> tags in the browser, require() in Node
+ */
+const GameCoreModules = typeof module !== 'undefined' && module.exports
+    ? {
+        ...require('./upgrades.js'),
+        ...require('./achievements.js'),
+        ...require('./tiers.js'),
+        ...require('./storage.js'),
+        ...require('./statistics.js'),
+        ...require('./big-number.js'),
+        ...require('./random-events.js'),
+        EventBus: require('./events.js')
+    }
+    : {
+        UpgradeRegistry,
+        AchievementTracker,
+        GameStatistics,
+        SATURATION_TIERS,
+        SATURATION_TIER_GROWTH,
+        getSaturationTierName,
+        SaveStorage,
+        SAVE_VERSION,
+        BigNum,
+        RandomEventTracker,
+        EventBus
+    };
+
+/**
+ * Game state engine
+ *
+ * Point amounts (score, essence, costs) are BigNums. Announces changes on its
+ * event bus (see events.js for the events).
+ */
+class GameEngine {
+    constructor(options = {}) {
+        const { UpgradeRegistry, AchievementTracker, GameStatistics, BigNum, RandomEventTracker, EventBus } = GameCoreModules;
+
+        this.config = {
+            earnRateWindow: 10000, // ms of recent earnings used to estimate the earn rate
+            autoBuyInterval: 2000, // ms between Auto Buyer purchases
+            essenceScoreUnit: 25000, // Essence per rebirth = floor(sqrt(points earned this run / unit))
+            winEssenceBonus: 0.25, // Extra rebirth essence per lifetime win (0.25 = +25%)
+            maxOfflineSeconds: 8 * 60 * 60, // Offline earnings cap (8 hours)
+            maxWinHistory: 20, // Wins kept in the history
+            scoreSampleInterval: 5000, // ms between session score samples
+            comboWindow: 1000, // ms after a click before the combo starts to decay
+            comboDecayRate: 5, // Combo points lost per second once it decays
+            maxCombo: 25, // Highest combo
+            comboBonus: 0.04, // Extra score multiplier per combo point (x2 at the highest combo)
+            edgeComboGain: 2, // Combo points for an edge hit (other hits give 1)
+            centerHitBonus: 0.5, // Extra points for hitting the centre of a face (0.5 = +50%)
+            centerZoneSize: 0.35, // Hits within this distance of a face's centre are centre hits (1 = its edge)
+            edgeZoneSize: 0.8, // Hits at least this far out are edge hits
+            minRandomEventDelay: 45, // Seconds between random events, at least...
+            maxRandomEventDelay: 120, // ...and at most
+            ...options.config
+        };
+
+        // Wall clock for save and win timestamps, and the dice for critical hits (replaceable in tests)
+        this.now = options.now || (() => Date.now());
+        this.random = options.random || Math.random;
+
+        // Number formatting for purchase messages (the view passes the player's notation)
+        this.formatNumber = options.formatNumber || (value => BigNum.from(value).format());
+
+        this.events = options.events || new EventBus();
+        this.time = 0; // Game time in ms, advanced by tick()
+
+        // Score
+        this.clickCount = BigNum.from(0);
+        this.scoreMultiplier = 1;
+        this.cubeCount = 1;
+        this.rebirthLevel = 0;
+        this.essence = BigNum.from(0); // Prestige currency earned by rebirthing
+        this.runEarned = BigNum.from(0); // Points earned since the last rebirth
+
+        // Saturation tiers
+        this.maxScore = null; // Score for full saturation in the current tier (set by setSaturationTier)
+        this.hasWon = false; // The current tier is won and the win hasn't been dismissed
+        this.winCount = 0; // Lifetime saturation wins
+        this.winHistory = []; // Recent wins, oldest first
+        this.setSaturationTier(0);
+
+        // Statistics and achievements
+        this.statistics = new GameStatistics();
+        this.achievements = new AchievementTracker(options.achievements);
+        this.liveFragments = 0; // Reported by the renderer for fragment achievements
+
+        // Random events and their buffs
+        this.randomEvents = new RandomEventTracker(options.randomEvents, {
+            minDelay: this.config.minRandomEventDelay,
+            maxDelay: this.config.maxRandomEventDelay
+        });
+
+        // Upgrade system (definitions live in the upgrade catalog, only levels are kept here)
+        this.upgradeRegistry = new UpgradeRegistry(options.catalog);
+        this.upgradeLevels = this.upgradeRegistry.createLevels();
+        this.storedLevels = {}; // Saved levels of upgrades that aren't registered (e.g. out-of-season plugins)
+        this.upgradeStats = null;
+
+        // Production
+        this.recentEarnings = []; // { time, points } samples for the earn rate
+        this.autoClickProgress = 0; // Fractional clicks carried between ticks
+        this.lastAutoBuy = 0;
+        this.lastScoreSample = -Infinity; // Sample on the first tick
+
+        // Click combo (not saved)
+        this.combo = 0; // Combo points, decaying once clicks stop
+        this.lastComboClick = 0; // Game time of the last click that built the combo
+
+        this.updateStats();
+    }
+
+    /**
+     * Subscribe to an event, returning a function that unsubscribes
+     */
+    on(event, handler) {
+        return this.events.on(event, handler);
+    }
+
+    off(event, handler) {
+        this.events.off(event, handler);
+    }
+
+    emit(event, data) {
+        this.events.emit(event, data);
+    }
+
+    /**
+     * Add a store section at runtime (see STORE_SECTIONS)
+     */
+    registerStoreSection(section) {
+        this.upgradeRegistry.registerSection(section);
+    }
+
+    /**
+     * Add an upgrade at runtime, restoring any level saved for it while it wasn't registered
+     */
+    registerUpgrade(definition) {
+        this.upgradeRegistry.register(definition);
+
+        this.upgradeLevels[definition.id] = this.upgradeRegistry.createLevels(this.storedLevels)[definition.id];
+        delete this.storedLevels[definition.id];
+        this.updateStats();
+    }
+
+    /**
+     * A manual click on a cube, returning { points, isCritical, zone, combo }
+     *
+     * hit.zone - Where the cube's face was hit: 'center', 'middle' or 'edge' (see getHitZone).
+     *            Centre hits earn extra points, edge hits build the combo faster.
+     */
+    click(hit = {}) {
+        const zone = hit.zone || 'middle';
+        this.statistics.recordManualClick(this.time);
+        this.addCombo(zone === 'edge' ? this.config.edgeComboGain : 1);
+
+        let bonus = this.getComboMultiplier();
+        if (zone === 'center') {
+            bonus *= 1 + this.config.centerHitBonus;
+        }
+
+        const isCritical = this.random() < this.upgradeStats.critChance;
+        if (isCritical) {
+            bonus *= this.upgradeStats.critMultiplier;
+            this.statistics.recordCriticalHit();
+        }
+
+        const points = this.earn(1, 'click', bonus);
+        const result = { points, isCritical, zone, combo: this.combo };
+        this.emit('click', result);
+        return result;
+    }
+
+    /**
+     * Classify a hit by its UV coordinates on a cube face (0 to 1 across the face)
+     */
+    getHitZone(u, v) {
+        const distance = Math.max(Math.abs(u - 0.5), Math.abs(v - 0.5)) * 2; // 0 at the centre, 1 at an edge
+
+        if (distance <= this.config.centerZoneSize) return 'center';
+        if (distance >= this.config.edgeZoneSize) return 'edge';
+        return 'middle';
+    }
+
+    /**
+     * Build the combo, restarting its decay timer
+     */
+    addCombo(amount) {
+        this.combo = Math.min(this.config.maxCombo, this.combo + amount);
+        this.lastComboClick = this.time;
+        this.statistics.recordCombo(Math.floor(this.combo));
+    }
+
+    /**
+     * Score multiplier from the current combo
+     */
+    getComboMultiplier() {
+        return 1 + this.combo * this.config.comboBonus;
+    }
+
+    /**
+     * How full the combo meter is, 0 to 1
+     */
+    getComboProgress() {
+        return this.combo / this.config.maxCombo;
+    }
+
+    /**
+     * Score a number of clicks at the current multiplier, times an optional bonus
+     * (rounded down, so the score stays a whole number)
+     */
+    earn(clicks, source, bonus = 1) {
+        const points = GameCoreModules.BigNum.from(this.scoreMultiplier * bonus).mul(clicks).floor();
+        return this.addPoints(points, clicks, source);
+    }
+
+    /**
+     * Add earned points (BigNum) to the score, returning them
+     */
+    addPoints(points, clicks, source) {
+        this.clickCount = this.clickCount.add(points);
+        this.runEarned = this.runEarned.add(points);
+        this.statistics.recordEarned(points, this.clickCount);
+
+        // Event rewards are one-off windfalls; counting them in the earn rate would inflate
+        // the "+N/s" readout, the time-to-afford estimates and the next golden cube's reward
+        if (source !== 'event') {
+            this.recentEarnings.push({ time: this.time, points });
+        }
+
+        this.checkWin();
+        this.emit('scoreChanged', { score: this.clickCount, points, clicks, source });
+        this.checkAchievements();
+        return points;
+    }
+
+    /**
+     * Advance the game by dt seconds: play time, score samples, combo decay,
+     * random events, auto clicks and the Auto Buyer
+     */
+    tick(dt) {
+        this.time += dt * 1000;
+        this.statistics.addPlayTime(dt);
+        this.tickRandomEvents(dt);
+
+        if (this.combo > 0 && this.time - this.lastComboClick > this.config.comboWindow) {
+            this.combo = Math.max(0, this.combo - this.config.comboDecayRate * dt);
+        }
+
+        if (this.time - this.lastScoreSample >= this.config.scoreSampleInterval) {
+            this.lastScoreSample = this.time;
+            this.statistics.sampleScore(this.clickCount, this.time);
+        }
+
+        // Auto Buyer perk spends on a slower cadence than auto clicks
+        if (this.upgradeStats.autoBuy > 0 && this.time - this.lastAutoBuy >= this.config.autoBuyInterval) {
+            this.lastAutoBuy = this.time;
+            this.tickAutoBuyer();
+        }
+
+        const clicksPerSecond = this.getAutoClicksPerSecond();
+        if (clicksPerSecond <= 0) {
+            this.autoClickProgress = 0;
+            return;
+        }
+
+        // Accumulate fractional clicks so low levels still add up over time
+        this.autoClickProgress += clicksPerSecond * dt;
+        const clicks = Math.floor(this.autoClickProgress);
+        if (clicks < 1) return;
+
+        this.autoClickProgress -= clicks;
+        this.statistics.recordAutoClicks(clicks);
+        this.earn(clicks, 'auto');
+    }
+
+    /**
+     * Advance random event timers, announcing spawns, escapes and buffs running out
+     */
+    tickRandomEvents(dt) {
+        const { spawned, escaped, expired } = this.randomEvents.update(dt, this.random);
+
+        if (expired.length > 0) {
+            this.updateStats();
+            expired.forEach(event => this.emit('buffEnded', event));
+        }
+        if (escaped) {
+            this.emit('randomEventEscaped', escaped);
+        }
+        if (spawned) {
+            this.emit('randomEvent', spawned);
+        }
+    }
+
+    /**
+     * Catch the random event in play, returning { event, points } (null if none is in play)
+     */
+    catchRandomEvent() {
+        const { BigNum } = GameCoreModules;
+        const event = this.randomEvents.catch();
+        if (!event) return null;
+
+        this.statistics.recordRandomEvent();
+
+        let points = null;
+        if (event.reward) {
+            const income = this.getEarnRate().mul(event.reward.incomeSeconds || 0);
+            const minimum = BigNum.from(this.scoreMultiplier).mul(event.reward.minClicks || 0);
+            points = this.addPoints(BigNum.max(income, minimum).floor(), 0, 'event');
+        }
+        if (event.buff) {
+            this.updateStats();
+        }
+
+        this.emit('randomEventCaught', { event, points });
+        return { event, points };
+    }
+
+    /**
+     * Get the number of automatic clicks generated per second
+     */
+    getAutoClicksPerSecond() {
+        return this.upgradeStats.autoClicks;
+    }
+
+    /**
+     * Points earned per second over the recent window (never below the auto-clicker rate)
+     */
+    getEarnRate() {
+        const { BigNum } = GameCoreModules;
+        const windowStart = this.time - this.config.earnRateWindow;
+
+        while (this.recentEarnings.length > 0 && this.recentEarnings[0].time < windowStart) {
+            this.recentEarnings.shift();
+        }
+
+        const earned = this.recentEarnings.reduce((total, sample) => total.add(sample.points), BigNum.from(0));
+        const measuredRate = earned.div(this.config.earnRateWindow / 1000);
+        const autoRate = BigNum.from(this.getAutoClicksPerSecond() * this.scoreMultiplier);
+
+        return BigNum.max(measuredRate, autoRate);
+    }
+
+    /**
+     * Grant auto-clicker earnings for the wall-clock time since lastSaved (capped).
+     * Returns the summary, or null if nothing was earned.
+     */
+    grantOfflineProgress(lastSaved) {
+        if (!lastSaved) return null;
+
+        const elapsedSeconds = Math.max(0, (this.now() - lastSaved) / 1000);
+        const seconds = Math.min(elapsedSeconds, this.config.maxOfflineSeconds);
+        const clicks = Math.floor(this.getAutoClicksPerSecond() * seconds);
+        if (clicks < 1) return null;
+
+        this.statistics.recordAutoClicks(clicks);
+        const points = this.earn(clicks, 'offline');
+        this.recentEarnings = []; // Offline earnings aren't part of the live earn rate
+
+        const summary = { seconds, clicks, points, wasCapped: elapsedSeconds > seconds };
+        this.emit('offline', summary);
+        return summary;
+    }
+
+    /**
+     * Recompute upgrade stats and the score multiplier
+     */
+    updateStats() {
+        this.upgradeStats = this.upgradeRegistry.computeStats(this.upgradeLevels, this.randomEvents.getBuffEffects());
+
+        // Calculate total score multiplier from all upgrades and achievement bonuses
+        this.scoreMultiplier = this.upgradeStats.score * (1 + this.achievements.getScoreBonus());
+    }
+
+    /**
+     * Get the cost of an upgrade's next level
+     */
+    getUpgradeCost(upgradeId) {
+        return this.upgradeRegistry.getCost(upgradeId, this.upgradeLevels[upgradeId]).mul(this.getCostScale(upgradeId)).floor();
+    }
+
+    /**
+     * Price factor for an upgrade (rebirth tree discounts only apply to discountable sections)
+     */
+    getCostScale(upgradeId) {
+        const section = this.getUpgradeSection(upgradeId);
+        return section.discountable ? this.upgradeStats.costScale : 1;
+    }
+
+    /**
+     * Store section an upgrade belongs to
+     */
+    getUpgradeSection(upgradeId) {
+        return this.upgradeRegistry.getSection(this.upgradeRegistry.get(upgradeId).section);
+    }
+
+    /**
+     * Amount of the currency an upgrade is bought with
+     */
+    getBalance(upgradeId) {
+        return this.getUpgradeSection(upgradeId).currency === 'essence' ? this.essence : this.clickCount;
+    }
+
+    /**
+     * Take the cost of an upgrade from its currency
+     */
+    spend(upgradeId, cost) {
+        if (this.getUpgradeSection(upgradeId).currency === 'essence') {
+            this.essence = this.essence.sub(cost);
+        } else {
+            this.clickCount = this.clickCount.sub(cost);
+            this.statistics.recordSpent(cost);
+        }
+    }
+
+    /**
+     * Most levels of an upgrade the current balance can buy
+     */
+    getMaxAffordable(upgradeId) {
+        return this.upgradeRegistry.getMaxAffordable(
+            upgradeId,
+            this.upgradeLevels[upgradeId],
+            this.getBalance(upgradeId).div(this.getCostScale(upgradeId))
+        );
+    }
+
+    /**
+     * Levels and total cost a buy amount (1, 10, 100 or 'max') would purchase.
+     * Rebirth upgrades are always bought one level at a time.
+     */
+    getPurchasePreview(upgradeId, buyAmount = 1) {
+        const level = this.upgradeLevels[upgradeId];
+        const remaining = this.upgradeRegistry.getRemainingLevels(upgradeId, level);
+        let amount;
+
+        if (this.getUpgradeSection(upgradeId).isRebirth) {
+            amount = 1;
+        } else if (buyAmount === 'max') {
+            // Preview at least one level so the price of the next level is still shown
+            amount = Math.max(1, this.getMaxAffordable(upgradeId));
+        } else {
+            amount = buyAmount;
+        }
+
+        amount = Math.min(amount, remaining);
+
+        return {
+            amount,
+            cost: this.upgradeRegistry.getBulkCost(upgradeId, level, amount).mul(this.getCostScale(upgradeId)).floor()
+        };
+    }
+
+    /**
+     * Progress used to check upgrade unlock requirements
+     */
+    getUnlockProgress() {
+        return {
+            score: this.clickCount,
+            rebirthLevel: this.rebirthLevel,
+            levels: this.upgradeLevels
+        };
+    }
+
+    /**
+     * Whether an upgrade can be bought at all right now (ignoring cost)
+     */
+    isUpgradeAvailable(upgradeId) {
+        return this.upgradeRegistry.isUnlocked(upgradeId, this.getUnlockProgress()) &&
+            !this.upgradeRegistry.isMaxed(upgradeId, this.upgradeLevels[upgradeId]);
+    }
+
+    /**
+     * Check whether a purchase can go ahead without making it
+     *
+     * Returns { ok, amount, cost, message }
+     */
+    checkPurchase(upgradeId, buyAmount = 1) {
+        if (!this.isUpgradeAvailable(upgradeId)) {
+            return { ok: false, amount: 0, cost: GameCoreModules.BigNum.from(0), message: 'Not available yet' };
+        }
+
+        const { amount, cost } = this.getPurchasePreview(upgradeId, buyAmount);
+        const balance = this.getBalance(upgradeId);
+
+        if (amount > 0 && balance.gte(cost)) {
+            return { ok: true, amount, cost, message: '' };
+        }
+
+        const currency = this.getUpgradeSection(upgradeId).currency;
+        return { ok: false, amount, cost, message: `Need ${this.formatNumber(cost.sub(balance).ceil())} more ${currency}` };
+    }
+
+    /**
+     * Buy levels of an upgrade in one transaction (rebirth upgrades rebirth instead)
+     *
+     * Returns { ok, amount, cost, message }
+     */
+    buy(upgradeId, buyAmount = 1) {
+        if (this.getUpgradeSection(upgradeId).isRebirth) {
+            return this.rebirth(upgradeId);
+        }
+
+        const check = this.checkPurchase(upgradeId, buyAmount);
+        if (!check.ok) return check;
+
+        const { amount, cost } = check;
+        this.spend(upgradeId, cost);
+        this.upgradeLevels[upgradeId] += amount;
+        this.updateStats();
+
+        this.emit('upgradePurchased', { id: upgradeId, amount, cost, level: this.upgradeLevels[upgradeId] });
+        this.checkAchievements();
+
+        return { ...check, message: `Bought ${amount} level${amount === 1 ? '' : 's'}!` };
+    }
+
+    /**
+     * Auto Buyer perk: buy one level of the cheapest affordable regular upgrade
+     */
+    tickAutoBuyer() {
+        let cheapest = null;
+
+        this.upgradeRegistry.list('upgrades').forEach(upgrade => {
+            const check = this.checkPurchase(upgrade.id, 1);
+            if (check.ok && (!cheapest || check.cost.lt(cheapest.cost))) {
+                cheapest = { id: upgrade.id, cost: check.cost };
+            }
+        });
+
+        if (cheapest) {
+            this.buy(cheapest.id, 1);
+        }
+    }
+
+    /**
+     * Essence the next rebirth would award (BigNum), scaled by points earned this run and lifetime wins
+     */
+    getRebirthEssenceReward() {
+        const winBonus = 1 + this.winCount * this.config.winEssenceBonus;
+        return this.runEarned.div(this.config.essenceScoreUnit).sqrt().mul(winBonus).floor();
+    }
+
+    /**
+     * Rebirth by buying a rebirth upgrade: reset the run for essence and more cubes
+     *
+     * Returns { ok, amount, cost, message, essence }
+     */
+    rebirth(upgradeId = this.upgradeRegistry.list('rebirth')[0].id) {
+        const check = this.checkPurchase(upgradeId);
+        if (!check.ok) return check;
+
+        const essenceReward = this.getRebirthEssenceReward();
+
+        this.upgradeLevels[upgradeId]++;
+        this.rebirthLevel++;
+        this.essence = this.essence.add(essenceReward);
+        this.statistics.recordSpent(check.cost);
+        this.statistics.recordRebirth();
+
+        // Reset progress (upgrades not kept on rebirth start over, plus any rebirth tree head start)
+        this.clickCount = GameCoreModules.BigNum.from(0);
+        this.runEarned = GameCoreModules.BigNum.from(0);
+        this.hasWon = false;
+        this.setSaturationTier(0);
+        const startingLevels = this.upgradeRegistry.getStartingLevels(this.upgradeLevels);
+        this.upgradeRegistry.list().forEach(upgrade => {
+            if (!this.getUpgradeSection(upgrade.id).keepOnRebirth) {
+                this.upgradeLevels[upgrade.id] = startingLevels[upgrade.id] || 0;
+            }
+        });
+
+        // Update cube count
+        this.updateStats();
+        this.cubeCount = Math.round(this.upgradeStats.cubes);
+
+        this.emit('rebirth', { upgradeId, essence: essenceReward, cubeCount: this.cubeCount });
+        this.checkAchievements();
+
+        return {
+            ...check,
+            essence: essenceReward,
+            message: `Rebirth complete! ${this.cubeCount} cubes, +${this.formatNumber(essenceReward)} essence`
+        };
+    }
+
+    /**
+     * Tier definition for any tier index, extending SATURATION_TIERS endlessly
+     * (maxScore is a BigNum past the defined tiers)
+     */
+    getSaturationTier(index) {
+        const { SATURATION_TIERS, SATURATION_TIER_GROWTH, getSaturationTierName, BigNum } = GameCoreModules;
+        if (index < SATURATION_TIERS.length) return SATURATION_TIERS[index];
+
+        // Past the defined tiers, repeat the palettes with growing targets
+        const lastIndex = SATURATION_TIERS.length - 1;
+        const palette = SATURATION_TIERS[index % SATURATION_TIERS.length];
+        return {
+            name: getSaturationTierName(index),
+            maxScore: BigNum.from(SATURATION_TIER_GROWTH).pow(index - lastIndex).mul(SATURATION_TIERS[lastIndex].maxScore),
+            colors: palette.colors
+        };
+    }
+
+    /**
+     * Switch the saturation target to a tier
+     */
+    setSaturationTier(index) {
+        const { BigNum } = GameCoreModules;
+        const tier = this.getSaturationTier(index);
+
+        this.saturationTier = index;
+        this.tierName = tier.name;
+        this.maxScore = BigNum.from(tier.maxScore);
+        this.tierStartScore = BigNum.from(index > 0 ? this.getSaturationTier(index - 1).maxScore : 0);
+    }
+
+    /**
+     * Saturation of the current tier (0 to 1)
+     */
+    getSaturationProgress() {
+        const progress = this.clickCount.sub(this.tierStartScore).div(this.maxScore.sub(this.tierStartScore)).toNumber();
+        return Math.min(Math.max(progress, 0), 1);
+    }
+
+    /**
+     * Record a win once the current tier is fully saturated
+     * (`loaded` marks a win found in a save being loaded rather than earned in play)
+     */
+    checkWin(loaded = false) {
+        if (this.hasWon || this.clickCount.lt(this.maxScore)) return;
+
+        this.hasWon = true;
+        this.winCount++;
+        if (this.saturationTier === 0) {
+            this.statistics.recordFirstTierWin();
+        }
+        this.winHistory.push({
+            tier: this.saturationTier,
+            name: this.tierName,
+            score: this.clickCount.floor().toJSON(),
+            wonAt: this.now()
+        });
+        this.winHistory = this.winHistory.slice(-this.config.maxWinHistory);
+
+        this.emit('win', { tier: this.saturationTier, name: this.tierName, loaded });
+        this.checkAchievements();
+    }
+
+    /**
+     * Dismiss the win and move on to the next saturation tier
+     */
+    continueAfterWin() {
+        if (!this.hasWon) return;
+
+        this.hasWon = false;
+        this.setSaturationTier(this.saturationTier + 1);
+        this.emit('tier', { tier: this.saturationTier, name: this.tierName });
+
+        // The score may already be past the next tier too
+        this.checkWin();
+    }
+
+    /**
+     * Count fragments spawned by the renderer and how many are on screen
+     */
+    recordFragments(spawned, live) {
+        this.statistics.recordFragments(spawned);
+        this.liveFragments = live;
+        this.checkAchievements();
+    }
+
+    /**
+     * Current values of every stat achievements can watch
+     */
+    getAchievementStats() {
+        return {
+            totalClicks: this.statistics.values.manualClicks,
+            totalEarned: this.statistics.values.pointsEarned.toNumber(),
+            upgradeLevels: Object.values(this.upgradeLevels).reduce((sum, level) => sum + level, 0),
+            fragments: this.liveFragments,
+            rebirthLevel: this.rebirthLevel,
+            wins: this.winCount
+        };
+    }
+
+    /**
+     * Unlock any achievements that have been reached, applying their bonuses straight away
+     */
+    checkAchievements() {
+        const newlyUnlocked = this.achievements.check(this.getAchievementStats());
+        if (newlyUnlocked.length === 0) return;
+
+        this.updateStats();
+        newlyUnlocked.forEach(achievement => this.emit('achievement', achievement));
+    }
+
+    /**
+     * What leaderboards rank and check a run by (see leaderboard.js)
+     */
+    getRunSummary() {
+        const statistics = this.statistics.getSaveData();
+        return {
+            version: 1,
+            createdAt: this.now(),
+            score: this.clickCount.toJSON(),
+            pointsEarned: statistics.pointsEarned,
+            pointsSpent: statistics.pointsSpent,
+            highestScore: statistics.highestScore,
+            timePlayed: statistics.timePlayed,
+            manualClicks: statistics.manualClicks,
+            autoClicks: statistics.autoClicks,
+            bestClicksPerSecond: statistics.bestClicksPerSecond,
+            randomEventsCaught: statistics.randomEventsCaught,
+            fastestWin: statistics.fastestWin,
+            predatesTracking: statistics.predatesTracking,
+            rebirthLevel: this.rebirthLevel,
+            winCount: this.winCount,
+            upgrades: { ...this.upgradeLevels }
+        };
+    }
+
+    /**
+     * The game state to persist (only upgrade levels, never tuning constants)
+     */
+    serialize() {
+        return {
+            version: GameCoreModules.SAVE_VERSION,
+            clickCount: this.clickCount.toJSON(),
+            upgrades: { ...this.storedLevels, ...this.upgradeLevels },
+            rebirthLevel: this.rebirthLevel,
+            essence: this.essence.toJSON(),
+            runEarned: this.runEarned.toJSON(),
+            saturationTier: this.saturationTier,
+            hasWon: this.hasWon,
+            winCount: this.winCount,
+            winHistory: this.winHistory,
+            statistics: this.statistics.getSaveData(),
+            achievements: this.achievements.getSaveData(),
+            cubeCount: this.cubeCount,
+            buffs: this.randomEvents.getSaveData(),
+            lastSaved: this.now()
+        };
+    }
+
+    /**
+     * Replace the current game with a saved game state (migrating older saves)
+     */
+    deserialize(savedState) {
+        const { SaveStorage, BigNum } = GameCoreModules;
+        const gameState = SaveStorage.migrate(savedState);
+
+        // Only levels come from the save, costs and multipliers stay as defined in the catalog
+        this.upgradeLevels = this.upgradeRegistry.createLevels(gameState.upgrades);
+        this.storedLevels = {};
+        Object.keys(gameState.upgrades || {}).forEach(id => {
+            if (!this.upgradeRegistry.get(id)) {
+                this.storedLevels[id] = gameState.upgrades[id];
+            }
+        });
+        this.achievements.load(gameState.achievements);
+
+        this.clickCount = BigNum.from(gameState.clickCount || 0);
+        this.rebirthLevel = gameState.rebirthLevel || 0;
+        this.essence = BigNum.from(gameState.essence || 0);
+        // Older saves never tracked run earnings, so count the current score
+        this.runEarned = gameState.runEarned !== undefined ? BigNum.from(gameState.runEarned) : this.clickCount;
+        this.statistics.load(gameState.statistics);
+        this.cubeCount = gameState.cubeCount || 1;
+        this.setSaturationTier(gameState.saturationTier || 0);
+        this.hasWon = gameState.hasWon || false;
+        this.winCount = gameState.winCount || 0;
+        this.winHistory = gameState.winHistory || [];
+        this.randomEvents.load(gameState.buffs);
+        this.recentEarnings = [];
+        this.updateStats();
+
+        this.emit('load', gameState);
+
+        // A save at or past its tier target counts as a win
+        this.checkWin(true);
+        return gameState;
+    }
+}
+
+/**
+ * Export for module systems
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameEngine;
+}
@@ -0,0 +1,390 @@
+/**
+ * =================================
+ * Cube Clicker - Leaderboard
+ * =================================
+ *
+ * Local high scores by category, plausibility checks for run summaries,
+ * and signed submissions to an online leaderboard
+ *
+ * Online leaderboard API, relative to the submission URL:
+ * POST /session  → { sessionId, key }  a one-time signing key (expires after a few minutes)
+ * POST (the URL) { name, summary, sessionId, signature }  → { ranks: { categoryId: rank or null } }
+ *                (400 for an unknown session or a bad signature, 422 for an implausible run)
+ */
+
+/**
+ * Dependencies: globals from earlier <script> tags in the browser, require() in Node
+ */
+const LeaderboardModules = typeof module !== 'undefined' && module.exports
+    ? require('./big-number.js')
+    : { BigNum };
+
+/**
+ * Leaderboard categories
+ *
+ * id, icon, name  - Key and display text
+ * unit            - 'time' (seconds), 'level' or 'points' (shown as a formatted number)
+ * lowerIsBetter   - Rank the smallest value first
+ * getValue        - The run's value from a run summary (see GameEngine.getRunSummary), or null if it has none
+ */
+const LEADERBOARD_CATEGORIES = [
+    {
+        id: 'fastestWin',
+        icon: '⏱️',
+        name: 'Fastest Win',
+        unit: 'time',
+        lowerIsBetter: true,
+        getValue: summary => summary.fastestWin
+    },
+    {
+        id: 'highestRebirth',
+        icon: '🔄',
+        name: 'Highest Rebirth',
+        unit: 'level',
+        lowerIsBetter: false,
+        getValue: summary => summary.rebirthLevel > 0 ? summary.rebirthLevel : null
+    },
+    {
+        id: 'lifetimePoints',
+        icon: '💰',
+        name: 'Lifetime Points',
+        unit: 'points',
+        lowerIsBetter: false,
+        getValue: summary => summary.pointsEarned
+    }
+];
+
+/**
+ * Limits a run summary is checked against
+ *
+ * maxClicksPerSecond - Fastest manual clicking believed possible, on average over the play time
+ * tolerance          - Slack for rounding in point totals (1.01 = 1%)
+ */
+const PLAUSIBILITY_LIMITS = {
+    maxClicksPerSecond: 20,
+    tolerance: 1.01
+};
+
+/**
+ * Check that a run summary could have been played under the game's rules
+ *
+ * The engine supplies the rules: upgrade catalog, combo and critical hit tuning,
+ * achievement bonuses and random events. The points earned must be reachable by
+ * the recorded clicks at the best multiplier the recorded spending could have bought,
+ * the click rate must be humanly possible, and the upgrades held must be paid for.
+ *
+ * Returns { ok, problems } with a sentence per problem found. A save started before
+ * statistics were tracked can't be checked at all: that returns { ok: false, unverifiable: true, problems }.
+ */
+function checkRunSummary(summary, engine, limits = PLAUSIBILITY_LIMITS) {
+    const { BigNum } = LeaderboardModules;
+    const registry = engine.upgradeRegistry;
+    const config = engine.config;
+    const problems = [];
+
+    const counts = ['timePlayed', 'manualClicks', 'autoClicks', 'bestClicksPerSecond', 'randomEventsCaught', 'rebirthLevel', 'winCount'];
+    const amounts = ['score', 'pointsEarned', 'pointsSpent', 'highestScore'];
+    const isCount = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+    if (!summary || typeof summary !== 'object' ||
+        !counts.every(key => isCount(summary[key])) ||
+        !amounts.every(key => BigNum.isValid(summary[key]) && !BigNum.from(summary[key]).lt(0)) ||
+        (summary.fastestWin !== null && !isCount(summary.fastestWin)) ||
+        typeof summary.upgrades !== 'object' || summary.upgrades === null) {
+        return { ok: false, problems: ['The run summary is incomplete or malformed'] };
+    }
+
+    // Its totals miss the play before tracking began, so they prove nothing either way
+    if (summary.predatesTracking === true) {
+        return {
+            ok: false,
+            unverifiable: true,
+            problems: ['This save was started before play statistics were tracked, so its runs can\'t be verified']
+        };
+    }
+
+    const earned = BigNum.from(summary.pointsEarned);
+    const spent = BigNum.from(summary.pointsSpent);
+    const levels = summary.upgrades;
+
+    // Click rate, on average: the best clicks per second isn't checked, since a multi-touch
+    // tap scores a click per finger and one quick burst would otherwise rule a save out for good
+    if (summary.manualClicks > summary.timePlayed * limits.maxClicksPerSecond) {
+        problems.push(`${summary.manualClicks} clicks can't fit in ${Math.round(summary.timePlayed)} seconds of play`);
+    }
+
+    // Point totals must agree with each other
+    if (spent.gt(earned.mul(limits.tolerance))) {
+        problems.push('More points were spent than were ever earned');
+    }
+    if (BigNum.from(summary.highestScore).gt(earned.mul(limits.tolerance))) {
+        problems.push('The highest score is more than the points ever earned');
+    }
+    if (BigNum.from(summary.score).gt(BigNum.from(summary.highestScore).mul(limits.tolerance))) {
+        problems.push('The score is above the highest score');
+    }
+
+    // Upgrade purchases: real levels, one rebirth per rebirth upgrade level, and paid for
+    const costScale = registry.computeStats(levels).costScale;
+    const startingLevels = registry.getStartingLevels(levels);
+    let rebirthUpgradeLevels = 0;
+    let heldCost = BigNum.from(0);
+
+    registry.list().forEach(upgrade => {
+        const level = levels[upgrade.id] || 0;
+        const section = registry.getSection(upgrade.section);
+
+        if (!Number.isInteger(level) || level < 0 || registry.getRemainingLevels(upgrade.id, 0) < level) {
+            problems.push(`${upgrade.name} is at an impossible level`);
+            return;
+        }
+        if (section.isRebirth) {
+            rebirthUpgradeLevels += level;
+        }
+        if (section.currency === 'points') {
+            const start = section.isRebirth ? 0 : Math.min(startingLevels[upgrade.id] || 0, level);
+            heldCost = heldCost.add(registry.getBulkCost(upgrade.id, start, level - start).mul(section.discountable ? costScale : 1));
+        }
+    });
+
+    if (rebirthUpgradeLevels !== summary.rebirthLevel) {
+        problems.push(`Rebirth level ${summary.rebirthLevel} doesn't match the rebirth upgrades bought`);
+    }
+    if (heldCost.gt(spent.mul(limits.tolerance))) {
+        problems.push('The upgrades held cost more than was ever spent');
+    }
+
+    // The best multiplier the spending could have bought in one run (levels reset on rebirth),
+    // with every achievement bonus and every random event buff at once
+    const peakLevels = { ...levels };
+    registry.list().forEach(upgrade => {
+        const section = registry.getSection(upgrade.section);
+        if (section.currency !== 'points' || section.isRebirth) return;
+
+        const start = Math.min(startingLevels[upgrade.id] || 0, registry.getRemainingLevels(upgrade.id, 0));
+        const budget = spent.div(section.discountable ? costScale : 1);
+        peakLevels[upgrade.id] = Math.max(levels[upgrade.id] || 0, start + registry.getMaxAffordable(upgrade.id, start, budget));
+    });
+
+    const events = engine.randomEvents.list();
+    const buffEffects = events.flatMap(event => (event.buff && event.buff.effects) || []);
+    const peak = registry.computeStats(peakLevels, buffEffects);
+    const achievementBonus = engine.achievements.list().reduce((total, achievement) => total + achievement.bonus, 0);
+
+    const multiplier = peak.score * (1 + achievementBonus);
+    const clickValue = multiplier * (1 + config.maxCombo * config.comboBonus) * (1 + config.centerHitBonus) *
+        Math.max(1, peak.critMultiplier);
+    const earnRate = limits.maxClicksPerSecond * clickValue + peak.autoClicks * multiplier;
+    const eventValue = events.reduce((best, event) => event.reward
+        ? Math.max(best, (event.reward.incomeSeconds || 0) * earnRate, (event.reward.minClicks || 0) * multiplier)
+        : best, 0);
+    const eventPoints = BigNum.from(eventValue).mul(summary.randomEventsCaught);
+
+    const reachable = BigNum.from(clickValue).mul(summary.manualClicks)
+        .add(BigNum.from(multiplier).mul(summary.autoClicks))
+        .add(eventPoints);
+    if (earned.gt(reachable.mul(limits.tolerance))) {
+        problems.push('The points earned are more than the recorded clicks could earn');
+    }
+    if (summary.autoClicks > 0 && peak.autoClicks === 0) {
+        problems.push('Auto clicks were recorded without any way to auto click');
+    }
+
+    // A first tier win needs its target score earned inside the recorded time
+    if (summary.fastestWin !== null) {
+        if (summary.winCount < 1 || summary.fastestWin > summary.timePlayed * limits.tolerance) {
+            problems.push('The fastest win is outside the recorded play time');
+        } else {
+            const firstTarget = BigNum.from(engine.getSaturationTier(0).maxScore);
+            const reachableInTime = BigNum.from(earnRate * summary.fastestWin).add(eventPoints);
+            if (firstTarget.gt(reachableInTime.mul(limits.tolerance))) {
+                problems.push(`Winning in ${Math.round(summary.fastestWin)} seconds is faster than possible`);
+            }
+        }
+    }
+
+    return { ok: problems.length === 0, problems };
+}
+
+/**
+ * Web Crypto in the browser, or Node's implementation
+ */
+function getSubtleCrypto() {
+    if (typeof crypto !== 'undefined' && crypto.subtle) return crypto.subtle;
+    if (typeof module !== 'undefined' && module.exports) return require('crypto').webcrypto.subtle;
+    throw new Error('Signing needs Web Crypto (a secure https or localhost page)');
+}
+
+/**
+ * HMAC-SHA256 of a run summary's JSON as hex, keyed with a session key from the leaderboard service
+ *
+ * Nothing secret ships with the game: the service issues a fresh key for each submission and
+ * accepts it once, so a signature ties the summary to that submission and can't be replayed.
+ * It says nothing about whether the run is genuine, which is what checkRunSummary is for.
+ */
+async function signRunSummary(summary, key) {
+    const subtle = getSubtleCrypto();
+    const encoder = new TextEncoder();
+    const cryptoKey = await subtle.importKey('raw', encoder.encode(key), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const signature = await subtle.sign('HMAC', cryptoKey, encoder.encode(JSON.stringify(summary)));
+
+    return Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Whether a signature matches a run summary and session key
+ */
+async function verifyRunSummary(summary, signature, key) {
+    return typeof signature === 'string' && signature === await signRunSummary(summary, key);
+}
+
+/**
+ * Local high score tables, one per category, with each player's best value
+ */
+class Leaderboard {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'cubeClickerLeaderboard';
+        this.maxEntries = options.maxEntries || 10;
+        this.categories = options.categories || LEADERBOARD_CATEGORIES;
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+        this.storage = options.storage !== undefined
+            ? options.storage
+            : (typeof localStorage !== 'undefined' ? localStorage : null); // null keeps the tables in memory only
+
+        this.entries = {}; // Category id → [{ name, value, recordedAt }], best first
+    }
+
+    load() {
+        let saved = null;
+        try {
+            saved = this.storage ? JSON.parse(this.storage.getItem(this.storageKey)) : null;
+        } catch (error) {
+            console.error('Error loading the leaderboard:', error);
+        }
+
+        this.entries = {};
+        this.categories.forEach(category => {
+            const entries = saved && saved[category.id];
+            this.entries[category.id] = Array.isArray(entries) ? entries : [];
+        });
+    }
+
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.entries));
+        } catch (error) {
+            console.error('Error saving the leaderboard:', error);
+        }
+    }
+
+    getCategory(id) {
+        return this.categories.find(category => category.id === id);
+    }
+
+    /**
+     * Entries of a category, best first
+     */
+    getEntries(categoryId) {
+        return this.entries[categoryId] || [];
+    }
+
+    /**
+     * Negative when value a ranks above value b in a category
+     */
+    compare(category, a, b) {
+        const order = LeaderboardModules.BigNum.from(a).cmp(b);
+        return category.lowerIsBetter ? order : -order;
+    }
+
+    /**
+     * Enter a run in every category it has a value for, keeping only a player's best.
+     * Returns [{ category, rank }] for each new personal best that made the table.
+     */
+    record(summary, name) {
+        const records = [];
+
+        this.categories.forEach(category => {
+            const value = category.getValue(summary);
+            if (value === null || value === undefined) return;
+
+            const entries = this.getEntries(category.id);
+            const previous = entries.find(entry => entry.name === name);
+            if (previous && this.compare(category, value, previous.value) >= 0) return;
+
+            const entry = { name, value, recordedAt: Date.now() };
+            this.entries[category.id] = entries
+                .filter(existing => existing !== previous)
+                .concat(entry)
+                .sort((a, b) => this.compare(category, a.value, b.value))
+                .slice(0, this.maxEntries);
+
+            const rank = this.entries[category.id].indexOf(entry) + 1;
+            if (rank > 0) {
+                records.push({ category, rank });
+            }
+        });
+
+        if (records.length > 0) {
+            this.save();
+        }
+        return records;
+    }
+
+    /**
+     * Check, sign and post a run summary to an online leaderboard
+     *
+     * Gets a session key from the service, then sends { name, summary, sessionId, signature };
+     * resolves with the service's reply (expected to be { ranks: { categoryId: rank } }).
+     */
+    async submit(endpoint, summary, name, engine) {
+        const check = checkRunSummary(summary, engine);
+        if (!check.ok) {
+            throw new Error(`This run can't be submitted: ${check.problems[0]}`);
+        }
+
+        const session = await this.post(`${endpoint.replace(/\/$/, '')}/session`, {});
+        if (!session || typeof session.sessionId !== 'string' || typeof session.key !== 'string') {
+            throw new Error('The leaderboard didn\'t start a submission');
+        }
+
+        const signature = await signRunSummary(summary, session.key);
+        return this.post(endpoint, { name, summary, sessionId: session.sessionId, signature });
+    }
+
+    /**
+     * POST JSON to the leaderboard service, resolving with the reply
+     */
+    async post(url, body) {
+        let response;
+        try {
+            response = await this.fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+        } catch (error) {
+            throw new Error('The leaderboard is unreachable');
+        }
+
+        const data = await response.json().catch(() => null);
+        if (!response.ok) {
+            throw new Error((data && data.error) || `Leaderboard submission failed (${response.status})`);
+        }
+        return data;
+    }
+}
+
+/**
+ * Export for module systems
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        Leaderboard,
+        LEADERBOARD_CATEGORIES,
+        PLAUSIBILITY_LIMITS,
+        checkRunSummary,
+        signRunSummary,
+        verifyRunSummary
+    };
+}
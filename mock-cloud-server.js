@@ -0,0 +1,196 @@
+/**
+ * =================================
+ * Cube Clicker - Mock Cloud Save Server
+ * =================================
+ *
+ * In-memory stand-in for the cloud save service (API in cloud-sync.js) and the
+ * online leaderboard (see leaderboard.js), for trying them out locally:
+ *
+ *     node mock-cloud-server.js        (PORT=8787 by default)
+ *
+ * An account is created the first time a username signs in; after that its
+ * password must match. Everything is forgotten when the server stops.
+ *
+ * Leaderboard API (no sign-in needed):
+ * POST /leaderboard/session                                   → { sessionId, key }
+ * POST /leaderboard  { name, summary, sessionId, signature }  → { ranks: { categoryId: rank or null } }
+ *                        (400 for an unknown session or a bad signature, 422 for an implausible run)
+ * GET  /leaderboard                                           → { categoryId: [{ name, value, recordedAt }] }
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const GameEngine = require('./game-core.js');
+const { Leaderboard, checkRunSummary, verifyRunSummary } = require('./leaderboard.js');
+
+// ms a leaderboard signing key stays valid
+const SUBMISSION_KEY_LIFETIME = 5 * 60 * 1000;
+
+/**
+ * Create the mock server (not yet listening)
+ */
+function createMockCloudServer() {
+    const accounts = new Map(); // Username → { password, save: { save, revision, savedAt } | null }
+    const sessions = new Map(); // Token → username
+    const submissionKeys = new Map(); // Leaderboard session id → { key, expiresAt }, each used once
+    const leaderboard = new Leaderboard({ storage: null, maxEntries: 50 });
+    const rules = new GameEngine(); // Submitted runs are checked against the stock game rules
+    leaderboard.load();
+
+    const send = (response, status, data) => {
+        response.writeHead(status, {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+            'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS'
+        });
+        response.end(data === undefined ? '' : JSON.stringify(data));
+    };
+
+    const readBody = request => new Promise((resolve, reject) => {
+        let body = '';
+        request.on('data', chunk => {
+            body += chunk;
+        });
+        request.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (error) {
+                reject(error);
+            }
+        });
+        request.on('error', reject);
+    });
+
+    const routes = {
+        'POST /sign-in': async (request, response) => {
+            const { username, password } = await readBody(request);
+            if (typeof username !== 'string' || !username.trim() || typeof password !== 'string' || !password) {
+                return send(response, 400, { error: 'Enter a username and password' });
+            }
+
+            const name = username.trim();
+            if (!accounts.has(name)) {
+                accounts.set(name, { password, save: null });
+            } else if (accounts.get(name).password !== password) {
+                return send(response, 401, { error: 'Wrong username or password' });
+            }
+
+            const token = crypto.randomBytes(16).toString('hex');
+            sessions.set(token, name);
+            send(response, 200, { token, username: name });
+        },
+
+        'POST /sign-out': async (request, response, username, token) => {
+            sessions.delete(token);
+            send(response, 204);
+        },
+
+        'GET /save': async (request, response, username) => {
+            const stored = accounts.get(username).save;
+            if (!stored) {
+                return send(response, 404, { error: 'No cloud save yet' });
+            }
+            send(response, 200, stored);
+        },
+
+        'PUT /save': async (request, response, username) => {
+            const { save, baseRevision } = await readBody(request);
+            if (!save || typeof save !== 'object') {
+                return send(response, 400, { error: 'Missing save' });
+            }
+
+            const account = accounts.get(username);
+            const currentRevision = account.save ? account.save.revision : null;
+            if (baseRevision !== currentRevision) {
+                return send(response, 409, { error: 'The cloud save changed on another device', ...account.save });
+            }
+
+            account.save = { save, revision: (currentRevision || 0) + 1, savedAt: Date.now() };
+            send(response, 200, { revision: account.save.revision, savedAt: account.save.savedAt });
+        },
+
+        'POST /leaderboard/session': async (request, response) => {
+            submissionKeys.forEach((session, id) => {
+                if (session.expiresAt < Date.now()) submissionKeys.delete(id);
+            });
+
+            const sessionId = crypto.randomBytes(16).toString('hex');
+            const key = crypto.randomBytes(32).toString('hex');
+            submissionKeys.set(sessionId, { key, expiresAt: Date.now() + SUBMISSION_KEY_LIFETIME });
+            send(response, 200, { sessionId, key });
+        },
+
+        'POST /leaderboard': async (request, response) => {
+            const { name, summary, sessionId, signature } = await readBody(request);
+            if (typeof name !== 'string' || !name.trim()) {
+                return send(response, 400, { error: 'Missing player name' });
+            }
+
+            const session = submissionKeys.get(sessionId);
+            submissionKeys.delete(sessionId);
+            if (!session || session.expiresAt < Date.now()) {
+                return send(response, 400, { error: 'The submission session is unknown or expired' });
+            }
+            if (!await verifyRunSummary(summary, signature, session.key)) {
+                return send(response, 400, { error: 'The run summary signature does not match' });
+            }
+
+            const check = checkRunSummary(summary, rules);
+            if (!check.ok) {
+                return send(response, 422, { error: `Run rejected: ${check.problems[0]}`, problems: check.problems });
+            }
+
+            const playerName = name.trim().slice(0, 24);
+            leaderboard.record(summary, playerName);
+
+            const ranks = {};
+            leaderboard.categories.forEach(category => {
+                const index = leaderboard.getEntries(category.id).findIndex(entry => entry.name === playerName);
+                ranks[category.id] = index >= 0 ? index + 1 : null;
+            });
+            send(response, 200, { ranks });
+        },
+
+        'GET /leaderboard': async (request, response) => {
+            send(response, 200, leaderboard.entries);
+        }
+    };
+
+    // Routes anyone can call without signing in
+    const publicRoutes = ['POST /sign-in', 'POST /leaderboard/session', 'POST /leaderboard', 'GET /leaderboard'];
+
+    return http.createServer(async (request, response) => {
+        if (request.method === 'OPTIONS') {
+            return send(response, 204);
+        }
+
+        const path = request.url.split('?')[0].replace(/^\/api/, '');
+        const routeKey = `${request.method} ${path}`;
+        const route = routes[routeKey];
+        if (!route) {
+            return send(response, 404, { error: 'Not found' });
+        }
+
+        const token = (request.headers.authorization || '').replace(/^Bearer /, '');
+        const username = sessions.get(token);
+        if (!publicRoutes.includes(routeKey) && !username) {
+            return send(response, 401, { error: 'Not signed in' });
+        }
+
+        try {
+            await route(request, response, username, token);
+        } catch (error) {
+            send(response, 400, { error: 'Malformed request' });
+        }
+    });
+}
+
+if (require.main === module) {
+    const port = Number(process.env.PORT) || 8787;
+    createMockCloudServer().listen(port, () => {
+        console.log(`Mock cloud save server listening on http://localhost:${port}/api`);
+    });
+}
+
+module.exports = { createMockCloudServer };
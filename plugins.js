@@ -0,0 +1,85 @@
+/**
+ * =================================
+ * Cube Clicker - Plugins
+ * =================================
+ *
+ * Extension point for adding content (seasonal events, mods)
+ * without editing the game's own scripts
+ */
+
+/**
+ * Plugin registry
+ *
+ * A plugin is a plain object:
+ * id          - Unique plugin id
+ * sections    - Store sections to add (see STORE_SECTIONS)
+ * upgrades    - Upgrade definitions to add (see UPGRADE_CATALOG)
+ * randomEvents - Random event definitions to add (see RANDOM_EVENT_CATALOG)
+ * setup(game) - Called once the plugin is installed, with the plugin API:
+ *               events                       - Event bus (see events.js)
+ *               engine                       - Game state engine (see game-core.js)
+ *               scene, THREE                 - The Three.js scene and library
+ *               addHudWidget(element)        - Show an element under the score
+ *               addSceneObject(object, update) - Add an object to the scene, update(dt) runs every simulation step
+ *               Both add functions return a function that removes what was added.
+ *
+ * Plugins registered before the game starts (e.g. from a <script> after script.js)
+ * are installed before the save loads, so levels of their upgrades and their buffs are restored.
+ */
+class PluginManager {
+    constructor() {
+        this.plugins = new Map();
+        this.host = null; // The running game, once started
+    }
+
+    /**
+     * Register a plugin, installing it straight away if the game is running
+     */
+    register(plugin) {
+        if (!plugin || !plugin.id || this.plugins.has(plugin.id)) {
+            throw new Error(`Plugin id "${plugin && plugin.id}" is missing or already registered`);
+        }
+
+        this.plugins.set(plugin.id, plugin);
+        if (this.host) {
+            this.host.installPlugin(plugin);
+        }
+        return plugin;
+    }
+
+    /**
+     * Install every registered plugin into the game, and any registered later as they arrive
+     */
+    attach(host) {
+        this.host = host;
+
+        this.plugins.forEach(plugin => {
+            try {
+                host.installPlugin(plugin);
+            } catch (error) {
+                console.error(`Failed to install plugin "${plugin.id}":`, error);
+            }
+        });
+    }
+
+    list() {
+        return Array.from(this.plugins.values());
+    }
+}
+
+// Plugins for the page's game
+const gamePlugins = new PluginManager();
+
+/**
+ * Register a plugin with the game (see PluginManager)
+ */
+function registerPlugin(plugin) {
+    return gamePlugins.register(plugin);
+}
+
+/**
+ * Export for module systems
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PluginManager, gamePlugins, registerPlugin };
+}
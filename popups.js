@@ -0,0 +1,94 @@
+/**
+ * =================================
+ * Cube Clicker - Score Popups
+ * =================================
+ *
+ * Floating "+N" popups on a HUD layer over the 3D view
+ */
+
+/**
+ * Pooled score popups
+ *
+ * Popup elements come from a fixed-size pool (the oldest is reused once every one
+ * is busy), and popups queued in the same frame close to each other merge into
+ * one, so a flood of points never creates DOM nodes without limit.
+ */
+class ScorePopups {
+    constructor(layer, options = {}) {
+        this.layer = layer;
+        this.poolSize = options.poolSize || 40;
+        this.mergeDistance = options.mergeDistance || 40; // px apart within which queued popups merge
+        this.formatNumber = options.formatNumber || (value => value.toString());
+
+        this.pool = []; // Popup elements, least recently used first
+        this.queue = []; // { points, x, y, kind } waiting for the next flush
+    }
+
+    /**
+     * Queue a popup for `points` (a BigNum) at screen position x, y
+     *
+     * kind - 'normal', 'critical', 'combo', 'auto' or 'event' (styled by the popup-<kind> class)
+     */
+    add(points, x, y, kind = 'normal') {
+        const match = this.queue.find(entry => entry.kind === kind &&
+            Math.abs(entry.x - x) < this.mergeDistance &&
+            Math.abs(entry.y - y) < this.mergeDistance);
+
+        if (match) {
+            match.points = match.points.add(points);
+        } else {
+            this.queue.push({ points, x, y, kind });
+        }
+    }
+
+    /**
+     * Show every queued popup (call once per frame)
+     */
+    flush() {
+        this.queue.forEach(entry => this.show(entry));
+        this.queue = [];
+    }
+
+    show({ points, x, y, kind }) {
+        const element = this.acquire();
+        element.textContent = `+${this.formatNumber(points)}${kind === 'critical' ? '!' : ''}`;
+        element.style.left = `${x}px`;
+        element.style.top = `${y}px`;
+
+        // Restart the animation, even on an element that is still playing it
+        element.className = 'score-popup';
+        void element.offsetWidth;
+        element.className = `score-popup popup-${kind}`;
+    }
+
+    /**
+     * A free popup element, a new one while the pool has room, or else the oldest one
+     */
+    acquire() {
+        let element = this.pool.find(candidate => candidate.className === 'score-popup');
+
+        if (!element && this.pool.length < this.poolSize) {
+            element = document.createElement('span');
+            element.className = 'score-popup';
+            element.setAttribute('aria-hidden', 'true'); // Announced through the score instead
+            element.addEventListener('animationend', () => {
+                element.className = 'score-popup';
+            });
+            this.layer.appendChild(element);
+        } else if (!element) {
+            element = this.pool[0];
+        }
+
+        // Move to the back of the pool as the most recently used
+        this.pool = this.pool.filter(candidate => candidate !== element);
+        this.pool.push(element);
+        return element;
+    }
+}
+
+/**
+ * Export for module systems
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScorePopups;
+}
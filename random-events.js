@@ -0,0 +1,264 @@
+/**
+ * =================================
+ * Cube Clicker - Random Events
+ * =================================
+ *
+ * Special cubes that now and then fly across the scene,
+ * giving a reward or a timed buff when clicked before they escape
+ */
+
+/**
+ * Random event definitions
+ *
+ * id           - Key used in saves
+ * icon, name   - Shown in toasts and the buff timers
+ * description  - What catching it does
+ * color        - Color of the event's cube
+ * weight       - Relative chance of being picked when an event spawns
+ * cooldown     - Seconds after spawning before it can spawn again
+ * lifetime     - Seconds the cube flies before it escapes
+ * reward       - Points for catching it (optional):
+ *                incomeSeconds - Worth this many seconds of the current earn rate
+ *                minClicks     - But at least this many clicks at the current multiplier
+ * buff         - Timed effect for catching it (optional):
+ *                duration      - Seconds it lasts
+ *                effects       - Stat modifiers while it lasts (as in UPGRADE_CATALOG)
+ *                fragmentRain  - Fragments per second rained on the scene while it lasts
+ */
+const RANDOM_EVENT_CATALOG = [
+    {
+        id: 'golden',
+        icon: '🌟',
+        name: 'Golden Cube',
+        description: 'Five minutes of income in one click',
+        color: 0xffd54a,
+        weight: 6,
+        cooldown: 60,
+        lifetime: 8,
+        reward: { incomeSeconds: 300, minClicks: 100 }
+    },
+    {
+        id: 'frenzy',
+        icon: '⚡',
+        name: 'Frenzy',
+        description: 'x7 points for 30 seconds',
+        color: 0xff3d7f,
+        weight: 3,
+        cooldown: 120,
+        lifetime: 7,
+        buff: {
+            duration: 30,
+            effects: [
+                { stat: 'score', type: 'multiply', value: 7 }
+            ]
+        }
+    },
+    {
+        id: 'fragmentStorm',
+        icon: '🌪️',
+        name: 'Fragment Storm',
+        description: 'Fragments rain down and +10 auto clicks per second for 20 seconds',
+        color: 0x4ad0ff,
+        weight: 2,
+        cooldown: 180,
+        lifetime: 7,
+        buff: {
+            duration: 20,
+            effects: [
+                { stat: 'autoClicks', type: 'add', value: 10 },
+                { stat: 'force', type: 'multiply', value: 1.5 }
+            ],
+            fragmentRain: 60
+        }
+    }
+];
+
+/**
+ * Schedules random events and tracks the buffs they give
+ *
+ * Times are game seconds, advanced by update(). Active buffs are saved,
+ * so a reload mid-buff keeps the time that was left.
+ */
+class RandomEventTracker {
+    constructor(catalog = RANDOM_EVENT_CATALOG, options = {}) {
+        this.minDelay = options.minDelay || 45; // Seconds between events, at least...
+        this.maxDelay = options.maxDelay || 120; // ...and at most
+
+        this.events = new Map();
+        this.untilNextSpawn = null; // Seconds until the next event, drawn on the first update
+        this.cooldowns = new Map(); // Event id → seconds before it can spawn again
+        this.buffs = new Map(); // Event id → seconds its buff has left
+        this.active = null; // { event, remaining } for the event cube in play
+
+        catalog.forEach(definition => this.register(definition));
+    }
+
+    /**
+     * Add a random event definition
+     */
+    register(definition) {
+        if (!definition.id || this.events.has(definition.id)) {
+            throw new Error(`Random event id "${definition.id}" is missing or already registered`);
+        }
+
+        this.events.set(definition.id, {
+            weight: 1,
+            cooldown: 0,
+            lifetime: 8,
+            reward: null,
+            buff: null,
+            ...definition
+        });
+    }
+
+    /**
+     * Get a random event definition by id
+     */
+    get(id) {
+        return this.events.get(id);
+    }
+
+    list() {
+        return Array.from(this.events.values());
+    }
+
+    /**
+     * Advance every timer by dt seconds, spawning an event when one is due
+     *
+     * Returns { spawned, escaped, expired }: the event that just spawned and the one that
+     * just escaped (or null), and the events whose buffs just ran out
+     */
+    update(dt, random = Math.random) {
+        let spawned = null;
+        let escaped = null;
+        const expired = [];
+
+        this.cooldowns.forEach((remaining, id) => {
+            if (remaining - dt <= 0) {
+                this.cooldowns.delete(id);
+            } else {
+                this.cooldowns.set(id, remaining - dt);
+            }
+        });
+
+        this.buffs.forEach((remaining, id) => {
+            if (remaining - dt <= 0) {
+                this.buffs.delete(id);
+                expired.push(this.get(id));
+            } else {
+                this.buffs.set(id, remaining - dt);
+            }
+        });
+
+        if (this.active) {
+            this.active.remaining -= dt;
+            if (this.active.remaining <= 0) {
+                escaped = this.active.event;
+                this.active = null;
+            }
+        } else {
+            if (this.untilNextSpawn === null) {
+                this.scheduleNext(random);
+            }
+
+            this.untilNextSpawn -= dt;
+            if (this.untilNextSpawn <= 0) {
+                spawned = this.spawn(this.pick(random));
+                this.scheduleNext(random);
+            }
+        }
+
+        return { spawned, escaped, expired };
+    }
+
+    /**
+     * Draw the delay before the next event
+     */
+    scheduleNext(random = Math.random) {
+        this.untilNextSpawn = this.minDelay + random() * (this.maxDelay - this.minDelay);
+    }
+
+    /**
+     * Pick an event off cooldown by weight (null if every event is cooling down)
+     */
+    pick(random = Math.random) {
+        const available = this.list().filter(event => !this.cooldowns.has(event.id) && event.weight > 0);
+        const totalWeight = available.reduce((sum, event) => sum + event.weight, 0);
+
+        let roll = random() * totalWeight;
+        return available.find(event => {
+            roll -= event.weight;
+            return roll < 0;
+        }) || null;
+    }
+
+    /**
+     * Put an event's cube into play, starting its cooldown
+     */
+    spawn(event) {
+        if (!event) return null;
+
+        this.active = { event, remaining: event.lifetime };
+        if (event.cooldown > 0) {
+            this.cooldowns.set(event.id, event.cooldown);
+        }
+        return event;
+    }
+
+    /**
+     * Take the event cube in play, starting its buff. Returns its definition, or null if none is in play
+     */
+    catch() {
+        if (!this.active) return null;
+
+        const event = this.active.event;
+        this.active = null;
+
+        if (event.buff) {
+            this.buffs.set(event.id, event.buff.duration);
+        }
+        return event;
+    }
+
+    /**
+     * Buffs in effect: [{ event, remaining }]
+     */
+    getActiveBuffs() {
+        return Array.from(this.buffs.entries()).map(([id, remaining]) => ({ event: this.get(id), remaining }));
+    }
+
+    /**
+     * Stat modifiers of every buff in effect
+     */
+    getBuffEffects() {
+        return this.getActiveBuffs().flatMap(({ event }) => event.buff.effects || []);
+    }
+
+    /**
+     * Active buffs for saving: event id → seconds left
+     */
+    getSaveData() {
+        return Object.fromEntries(this.buffs);
+    }
+
+    /**
+     * Restore buffs from a save, ignoring events that aren't registered
+     */
+    load(savedBuffs) {
+        this.buffs = new Map();
+        this.active = null;
+
+        Object.keys(savedBuffs || {}).forEach(id => {
+            if (this.get(id) && this.get(id).buff && savedBuffs[id] > 0) {
+                this.buffs.set(id, savedBuffs[id]);
+            }
+        });
+    }
+}
+
+/**
+ * Export for module systems
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RandomEventTracker, RANDOM_EVENT_CATALOG };
+}
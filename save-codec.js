@@ -0,0 +1,204 @@
+/**
+ * =================================
+ * Cube Clicker - Save Codec
+ * =================================
+ *
+ * Turns game state into portable save codes and backup files,
+ * and validates them on the way back in
+ */
+
+/**
+ * Dependencies: globals from earlier <script> tags in the browser, require() in Node
+ */
+const SaveCodecModules = typeof module !== 'undefined' && module.exports
+    ? { ...require('./storage.js'), ...require('./big-number.js'), ...require('./tiers.js') }
+    : { SAVE_VERSION, SaveStorage, BigNum, getSaturationTierName };
+
+class SaveCodec {
+    /**
+     * 32-bit FNV-1a hash of a string as 8 hex characters
+     */
+    static checksum(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Encode game state as a compact "<base64>.<checksum>" save code
+     */
+    static encode(gameState) {
+        const json = JSON.stringify({ ...gameState, version: SaveCodecModules.SAVE_VERSION });
+        const base64 = btoa(unescape(encodeURIComponent(json)));
+        return `${base64}.${SaveCodec.checksum(json)}`;
+    }
+
+    /**
+     * Decode and validate a save code
+     */
+    static decode(code) {
+        const parts = code.trim().split('.');
+        if (parts.length !== 2) {
+            throw new Error('This is not a Cube Clicker save code');
+        }
+
+        let json;
+        try {
+            json = decodeURIComponent(escape(atob(parts[0])));
+        } catch (error) {
+            throw new Error('Save code is corrupt');
+        }
+
+        if (SaveCodec.checksum(json) !== parts[1]) {
+            throw new Error('Save code checksum does not match, the data was modified or damaged');
+        }
+
+        return SaveCodec.parseState(json);
+    }
+
+    /**
+     * Build the contents of a downloadable backup file
+     */
+    static toFile(gameState) {
+        const save = { ...gameState, version: SaveCodecModules.SAVE_VERSION };
+        return JSON.stringify({
+            game: 'cube-clicker',
+            exportedAt: new Date().toISOString(),
+            checksum: SaveCodec.checksum(JSON.stringify(save)),
+            save
+        }, null, 2);
+    }
+
+    /**
+     * Read and validate a backup file
+     */
+    static fromFile(text) {
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Backup file is not valid JSON');
+        }
+
+        if (!file || file.game !== 'cube-clicker' || !file.save) {
+            throw new Error('This is not a Cube Clicker backup file');
+        }
+
+        const json = JSON.stringify(file.save);
+        if (SaveCodec.checksum(json) !== file.checksum) {
+            throw new Error('Backup file checksum does not match, the data was modified or damaged');
+        }
+
+        return SaveCodec.parseState(json);
+    }
+
+    /**
+     * Decode either a save code or the contents of a backup file
+     */
+    static parse(text) {
+        return text.trim().startsWith('{') ? SaveCodec.fromFile(text) : SaveCodec.decode(text);
+    }
+
+    /**
+     * Parse, migrate and validate serialized game state
+     */
+    static parseState(json) {
+        let save;
+        try {
+            save = JSON.parse(json);
+        } catch (error) {
+            throw new Error('Save data is corrupt');
+        }
+
+        const gameState = SaveCodecModules.SaveStorage.migrate(save);
+        SaveCodec.validate(gameState);
+        return gameState;
+    }
+
+    /**
+     * Throw if game state contains values the game could never produce
+     */
+    static validate(gameState) {
+        const isCount = (value) => Number.isInteger(value) && value >= 0;
+        const checkLevels = (levels) => levels === undefined ||
+            (typeof levels === 'object' && levels !== null && Object.values(levels).every(isCount));
+
+        if (!SaveCodec.isAmount(gameState.clickCount)) {
+            throw new Error('Save has an invalid score');
+        }
+        if (!isCount(gameState.rebirthLevel || 0)) {
+            throw new Error('Save has an invalid rebirth level');
+        }
+        const essence = gameState.essence || 0;
+        if (!SaveCodec.isAmount(essence) || !SaveCodecModules.BigNum.from(essence).floor().eq(essence)) {
+            throw new Error('Save has an invalid essence balance');
+        }
+        if (!SaveCodec.isAmount(gameState.runEarned || 0)) {
+            throw new Error('Save has invalid run earnings');
+        }
+        if (!Number.isInteger(gameState.cubeCount) || gameState.cubeCount < 1) {
+            throw new Error('Save has an invalid cube count');
+        }
+        if (!checkLevels(gameState.upgrades)) {
+            throw new Error('Save has invalid upgrade levels');
+        }
+        if (!isCount(gameState.saturationTier || 0)) {
+            throw new Error('Save has an invalid saturation tier');
+        }
+        if (!isCount(gameState.winCount || 0)) {
+            throw new Error('Save has an invalid win count');
+        }
+        // A win's name must be its tier's, so nothing else is ever shown in the win history
+        const isWin = (win) => typeof win === 'object' && win !== null && isCount(win.tier) &&
+            win.name === SaveCodecModules.getSaturationTierName(win.tier) &&
+            SaveCodec.isAmount(win.score) && isFinite(win.wonAt);
+        if (gameState.winHistory !== undefined && !(Array.isArray(gameState.winHistory) && gameState.winHistory.every(isWin))) {
+            throw new Error('Save has an invalid win history');
+        }
+        if (gameState.statistics !== undefined && !SaveCodec.isValidStatistics(gameState.statistics)) {
+            throw new Error('Save has invalid statistics');
+        }
+        if (gameState.achievements !== undefined &&
+            !(Array.isArray(gameState.achievements) && gameState.achievements.every(id => typeof id === 'string'))) {
+            throw new Error('Save has invalid achievements');
+        }
+        const isDuration = (value) => typeof value === 'number' && isFinite(value) && value >= 0;
+        if (gameState.buffs !== undefined &&
+            !(typeof gameState.buffs === 'object' && gameState.buffs !== null && Object.values(gameState.buffs).every(isDuration))) {
+            throw new Error('Save has invalid buffs');
+        }
+    }
+
+    /**
+     * Whether a value is a non-negative number or big-number string
+     */
+    static isAmount(value) {
+        const { BigNum } = SaveCodecModules;
+        return BigNum.isValid(value) && !BigNum.from(value).lt(0);
+    }
+
+    /**
+     * Check that every statistic is a non-negative amount (rebirth times a list of them,
+     * the fastest win null until there is one, and predatesTracking a flag)
+     */
+    static isValidStatistics(statistics) {
+        if (typeof statistics !== 'object' || statistics === null) return false;
+
+        return Object.keys(statistics).every(key => {
+            if (Array.isArray(statistics[key])) return statistics[key].every(SaveCodec.isAmount);
+            if (key === 'fastestWin' && statistics[key] === null) return true;
+            if (key === 'predatesTracking') return typeof statistics[key] === 'boolean';
+            return SaveCodec.isAmount(statistics[key]);
+        });
+    }
+}
+
+/**
+ * Export for module systems
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SaveCodec;
+}
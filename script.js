@@ -15,60 +15,125 @@ class CubeViewer {
         this.renderer = null;
         this.cube = null;
         this.cubes = [];
-        this.fragments = [];
-        this.isExploding = false;
+        this.fragmentPool = null; // Instanced explosion fragments
+        this.ground = null;
+        
+        // Fixed-step clock that drives the simulation and every game timer
+        this.clock = null;
+        this.lastFrameTime = 0; // requestAnimationFrame timestamp of the previous frame
+        this.pausedAt = null; // Wall-clock time the game was paused by hiding the tab
         
         // Interaction state
-        this.mouseDown = false;
-        this.mouseX = 0;
-        this.mouseY = 0;
+        this.pointers = new Map(); // Active pointers (mouse, touch or pen) by pointerId
+        this.pinch = null; // Two-finger zoom gesture in progress
         this.targetRotationX = 0;
         this.targetRotationY = 0;
-        this.currentRotationX = 0;
-        this.currentRotationY = 0;
-        this.isDragging = false;
-        this.clickCount = 0;
-        this.maxScore = 1000000; // 1 million for max saturation
-        this.hasWon = false;
-        this.scoreMultiplier = 1;
-        this.cubeCount = 1;
-        this.rebirthLevel = 0;
-        
-        // Upgrade system
-        this.upgrades = {
-            explosiveness: { level: 0, baseCost: 10, multiplier: 1.5 },
-            fragmentCount: { level: 0, baseCost: 25, multiplier: 1.8 },
-            scoreMultiplier: { level: 0, baseCost: 50, multiplier: 2.0 },
-            explosionForce: { level: 0, baseCost: 100, multiplier: 2.2 },
-            autoClicker: { level: 0, baseCost: 500, multiplier: 3.0 }
-        };
-        
-        // Rebirth upgrades (persist through rebirths)
-        this.rebirthUpgrades = {
-            doubleCubes: { level: 0, baseCost: 100000, multiplier: 10.0 }
-        };
         
-        // Auto-clicker timing
-        this.lastAutoClick = Date.now();
+        // Game state and rules (headless, see game-core.js); this viewer renders it
+        this.events = new EventBus(); // Shared with the engine and plugins (see events.js)
+        this.engine = new GameEngine({
+            events: this.events,
+            formatNumber: value => this.formatNumber(value)
+        });
+        this.sceneUpdates = []; // Per-step update callbacks for plugin scene objects
+        this.audio = null; // Sound effects and music (see audio.js)
+        this.shownCombo = 0; // Combo shown in the combo meter
+        this.eventCube = null; // Random event cube in flight (see random-events.js)
+        this.shownBuffs = ''; // Buff timers shown in the HUD
+        this.fragmentRainProgress = 0; // Fractional fragments carried between steps of a fragment rain
+        this.buyAmount = 1; // Levels per purchase: 1, 10, 100 or 'max'
+        this.modalOpenHandlers = new Map(); // Modal id → callback run each time it opens
+        this.modalReturnFocus = new Map(); // Modal id → element focused before it opened
+        this.listeningAction = null; // Keyboard action waiting for its new key in Settings
+        this.nextScoreMilestone = BigNum.from(10); // Next power of ten of score to announce
+        this.announceTimeout = null; // Pending screen reader announcement
+        
+        // Store affordability tracking
+        this.storeUpdatePending = false;
+        this.seenAffordable = new Set(); // "id:level" keys the player has already seen as affordable
+        
+        // Save storage (localStorage with IndexedDB fallback)
+        this.storage = new SaveStorage();
+        
+        // Player preferences (per device, not part of the save)
+        this.settings = new GameSettings();
+        this.settings.load();
+        
+        // Local high scores (see leaderboard.js)
+        this.leaderboard = new Leaderboard();
+        this.leaderboard.load();
+        this.runCheck = null; // Plausibility check of the run last entered or shown
+        this.submissionNote = ''; // Outcome of the last online submission
+        
+        // Auto-click explosion timing (clock ms)
+        this.lastAutoExplosion = 0;
+        
+        // Floating "+N" popups (see popups.js)
+        this.scorePopups = null;
+        this.pendingAutoPoints = BigNum.from(0); // Auto-click points not yet shown in a popup
         
         // Configuration
         this.config = {
             rotationSpeed: 0.01,
             interpolationSpeed: 0.05,
             zoomSpeed: 1.1,
+            dragThreshold: 3, // px a pointer must move before a press becomes a drag
+            keyRotationStep: 0.3, // Radians an arrow key turns the cubes
             minZoom: 2,
             maxZoom: 10,
             floatingSpeed: 0.001,
             floatingAmplitude: 0.1,
             explosionForce: 0.3,
-            gravity: -0.01,
+            fragmentSpeed: 60, // Fragment speed (units per second) per point of explosion force
+            fragmentLift: 6, // Up to this much extra upward speed per fragment
+            fragmentSpin: 18, // Spread of fragment spin (radians per second)
+            // Explosion styles by where a cube face was hit (see getBurst): speed and lift scale
+            // fragment velocity, spread is random scatter, focus pushes fragments out of the hit face
+            bursts: {
+                middle: { speed: 1, lift: 1, spread: 0.5, focus: 0 },
+                center: { speed: 1.3, lift: 0.4, spread: 0.2, focus: 1.5 }, // A tight jet out of the face
+                edge: { speed: 0.9, lift: 1.4, spread: 1.2, focus: 0 } // A wide, high spray
+            },
+            criticalBurst: { speed: 1.6, spin: 2, extraPerSide: 1, highlight: 0.5 }, // On top of the zone's burst
+            comboBurst: { speed: 0.5, extraPerSide: 1 }, // Extra speed at a full combo, extra fragments once it is full
+            highlightColor: 0xffd54a, // Critical hit fragments
+            eventCubeSize: 0.9,
+            eventCubeWobble: 0.6, // Height of a random event cube's weaving flight
+            maxVoices: 12, // Sound effects playing at once, more are skipped so auto clicks can't clip
+            gravity: -36, // Units per second squared
+            floorOffset: 2.5, // Distance from the bottom row of cubes down to the floor
+            fixedStep: 1000 / 60, // ms per simulation step
+            maxFrameTime: 250, // Most ms of real time simulated in one frame
+            fragmentsPerSide: 3,
             fragmentCount: 27, // 3x3x3 grid
             explosionDuration: 1,
-            respawnDelay: 1
+            respawnDelay: 1,
+            growDuration: 500, // ms for a respawned cube to grow back
+            cubeSpacing: 3, // Distance between cube centers in the grid
+            defaultZoom: 5,
+            engineTickRate: 100, // ms between game engine ticks (auto clicks, Auto Buyer, play time)
+            autoClickExplosionInterval: 1000, // Minimum ms between auto-click explosions (auto popups show with them)
+            maxPopups: 40, // Score popup elements, the oldest are reused beyond it
+            comboPopupThreshold: 5, // Combo from which click popups take the combo color
+            minOfflineSummarySeconds: 60, // Shorter absences are credited without the summary popup
+            autoSaveInterval: 10000, // ms between auto-saves
+            backupInterval: 5 * 60 * 1000, // ms between rolling backups (5 minutes)
+            cloudSyncUrl: 'http://localhost:8787/api', // Cloud save service (mock-cloud-server.js serves this locally)
+            cloudSyncInterval: 60000, // ms between cloud save uploads while signed in
+            toastDuration: 4000, // ms a toast stays on screen
+            statsRefreshRate: 1000 // ms between Stats panel refreshes while it is open
         };
         
+        // Zoom-out limit before it is widened to fit larger cube grids
+        this.baseMaxZoom = this.config.maxZoom;
+        
+        this.clock = new GameClock({
+            step: this.config.fixedStep,
+            maxFrameTime: this.config.maxFrameTime
+        });
+        this.updateTierColors();
+        
         this.init();
-        this.loadGame();
     }
     
     /**
@@ -78,14 +143,39 @@ class CubeViewer {
         this.createScene();
         this.createCamera();
         this.createRenderer();
+        this.createGround();
+        this.createFragmentPool();
         this.createCubes();
         this.createLighting();
         this.setupEventListeners();
+        this.setupKeyboardControls();
         this.setupRaycaster();
         this.setupStore();
-        this.loadGame(); // Load saved data immediately
+        this.setupOfflineEventListeners();
+        this.setupSaveMenu();
+        this.setupAccountMenu();
+        this.setupAchievementsMenu();
+        this.setupStatsMenu();
+        this.setupLeaderboard();
+        this.setupSettingsMenu();
+        this.setupWinMessage();
+        this.setupVisibilityHandling();
+        this.setupEngineEvents();
+        this.setupScorePopups();
+        this.setupRandomEvents();
+        this.setupAudio();
         this.startAnimation();
-        this.startAutoSave();
+        
+        // Install plugins before loading so their upgrade levels are restored
+        gamePlugins.attach(this);
+        
+        // Load saved data, then start the timers so they can't overwrite it
+        this.loadGame().then(() => {
+            this.startEngine();
+            this.startAutoSave();
+            this.startStatsTracking();
+            this.startCloudSync();
+        });
         
         console.log('3D Cube Viewer initialized successfully');
     }
@@ -112,19 +202,22 @@ class CubeViewer {
     }
     
     /**
-     * Create and configure the WebGL renderer
+     * Create and configure the WebGL renderer from the graphics settings
      */
     createRenderer() {
+        const graphics = this.settings.getGraphics();
+        
         this.renderer = new THREE.WebGLRenderer({ 
-            antialias: true, 
+            antialias: graphics.antialias, 
             alpha: true 
         });
+        this.antialias = graphics.antialias; // Fixed for the lifetime of the WebGL context
         
         this.renderer.setSize(window.innerWidth, window.innerHeight);
         this.renderer.setClearColor(0x000000, 0);
-        this.renderer.shadowMap.enabled = true;
+        this.renderer.shadowMap.enabled = graphics.shadows;
         this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-        this.renderer.setPixelRatio(window.devicePixelRatio);
+        this.renderer.setPixelRatio(this.getPixelRatio());
         
         // Add renderer to DOM
         const container = document.getElementById('container');
@@ -138,20 +231,41 @@ class CubeViewer {
     }
     
     /**
-     * Create the cube with colored faces
+     * Create the floor plane that fragments land on (only its shadows are drawn)
+     */
+    createGround() {
+        this.ground = new THREE.Mesh(
+            new THREE.PlaneGeometry(200, 200),
+            new THREE.ShadowMaterial({ opacity: 0.15 })
+        );
+        this.ground.rotation.x = -Math.PI / 2;
+        this.ground.receiveShadow = true;
+        this.scene.add(this.ground);
+    }
+    
+    /**
+     * Create the instanced fragment pool
      */
+    createFragmentPool() {
+        this.fragmentPool = new FragmentPool(this.scene, {
+            capacity: this.settings.get('maxFragments'),
+            gravity: this.config.gravity
+        });
+    }
+    
     /**
      * Create the cubes with colored faces
      */
     createCubes() {
-        // Clear existing cubes
-        this.cubes.forEach(cube => {
-            this.scene.remove(cube);
-            cube.geometry.dispose();
-            cube.material.forEach(material => material.dispose());
-        });
+        // Clear existing cubes (they share one geometry and set of materials)
+        this.cubes.forEach(cube => this.scene.remove(cube));
         this.cubes = [];
         
+        if (this.cubeGeometry) {
+            this.cubeGeometry.dispose();
+            this.baseMaterials.forEach(material => material.dispose());
+        }
+        
         // Create base materials
         this.baseMaterials = [
             new THREE.MeshLambertMaterial({ color: 0x808080 }), // Right - Desaturated
@@ -161,41 +275,96 @@ class CubeViewer {
             new THREE.MeshLambertMaterial({ color: 0x808080 }), // Front - Desaturated
             new THREE.MeshLambertMaterial({ color: 0x808080 })  // Back - Desaturated
         ];
-        
-        // Target orange colors for max saturation
-        this.targetColors = [
-            0xff922f, // Base orange
-            0xe6830a, // Darker orange
-            0xffa347, // Lighter orange  
-            0xd4700a, // Deep orange
-            0xffb366, // Light orange
-            0xcc5d0a  // Dark orange
-        ];
+        this.cubeGeometry = new THREE.BoxGeometry(2, 2, 2);
         
         // Create cubes based on current cube count
-        for (let i = 0; i < this.cubeCount; i++) {
-            const geometry = new THREE.BoxGeometry(2, 2, 2);
-            
-            // Clone materials for each cube
-            const materials = this.baseMaterials.map(material => material.clone());
-            
-            const cube = new THREE.Mesh(geometry, materials);
+        for (let i = 0; i < this.engine.cubeCount; i++) {
+            // Materials are shared so saturation updates reach every cube
+            const cube = new THREE.Mesh(this.cubeGeometry, this.baseMaterials);
             cube.castShadow = true;
             cube.receiveShadow = true;
             
-            // Position cubes in a line if multiple
-            if (this.cubeCount > 1) {
-                cube.position.x = (i - (this.cubeCount - 1) / 2) * 3;
-            }
+            // Per-cube animation, explosion and respawn state
+            cube.userData = {
+                index: i,
+                basePosition: new THREE.Vector3(),
+                rotationX: this.targetRotationX,
+                rotationY: this.targetRotationY,
+                floatPhase: i * 0.7, // Offset so cubes bob out of step with each other
+                floatOffset: 0,
+                scale: 1,
+                previous: null, // Simulated values from the step before, for interpolated rendering
+                isExploding: false,
+                growStartedAt: null
+            };
+            this.storePreviousCubeState(cube);
             
             this.scene.add(cube);
             this.cubes.push(cube);
         }
         
+        this.layoutCubes();
+        this.fitCameraToCubes(true);
+        
         // Set main cube reference for backward compatibility
         this.cube = this.cubes[0];
     }
     
+    /**
+     * Arrange the cubes in a centered grid (the last row is centered when it isn't full)
+     */
+    layoutCubes() {
+        const count = this.cubes.length;
+        const columns = Math.ceil(Math.sqrt(count));
+        const rows = Math.ceil(count / columns);
+        const spacing = this.config.cubeSpacing;
+        
+        this.gridSize = { columns, rows };
+        
+        this.cubes.forEach((cube, i) => {
+            const row = Math.floor(i / columns);
+            const column = i % columns;
+            const cubesInRow = Math.min(columns, count - row * columns);
+            
+            cube.userData.basePosition.set(
+                (column - (cubesInRow - 1) / 2) * spacing,
+                ((rows - 1) / 2 - row) * spacing,
+                0
+            );
+            cube.position.copy(cube.userData.basePosition);
+        });
+        
+        // Keep the floor just below the bottom row
+        const floorY = -((rows - 1) / 2) * spacing - this.config.floorOffset;
+        this.ground.position.y = floorY;
+        this.fragmentPool.floorY = floorY;
+    }
+    
+    /**
+     * Widen the zoom range so the whole cube grid fits in view
+     */
+    fitCameraToCubes(resetZoom) {
+        if (!this.gridSize) return;
+        
+        const spacing = this.config.cubeSpacing;
+        const margin = 2; // Cube size plus some breathing room
+        const gridWidth = (this.gridSize.columns - 1) * spacing + margin * 2;
+        const gridHeight = (this.gridSize.rows - 1) * spacing + margin * 2;
+        
+        const halfFov = THREE.MathUtils.degToRad(this.camera.fov / 2);
+        const fitHeight = (gridHeight / 2) / Math.tan(halfFov);
+        const fitWidth = (gridWidth / 2) / (Math.tan(halfFov) * this.camera.aspect);
+        const fitDistance = Math.max(fitHeight, fitWidth) + 1; // +1 for the cube depth
+        
+        this.config.maxZoom = Math.max(this.baseMaxZoom, fitDistance * 1.5);
+        
+        if (resetZoom) {
+            this.camera.position.z = Math.max(this.config.defaultZoom, fitDistance);
+        } else {
+            this.camera.position.z = Math.min(this.camera.position.z, this.config.maxZoom);
+        }
+    }
+    
     /**
      * Create and configure lighting
      */
@@ -205,14 +374,16 @@ class CubeViewer {
         this.scene.add(ambientLight);
         
         // Directional light for shadows and definition
+        const shadowMapSize = this.settings.get('shadowMapSize');
         const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
         directionalLight.position.set(5, 5, 5);
-        directionalLight.castShadow = true;
-        directionalLight.shadow.mapSize.width = 2048;
-        directionalLight.shadow.mapSize.height = 2048;
+        directionalLight.castShadow = this.settings.get('shadows');
+        directionalLight.shadow.mapSize.width = shadowMapSize;
+        directionalLight.shadow.mapSize.height = shadowMapSize;
         directionalLight.shadow.camera.near = 0.5;
         directionalLight.shadow.camera.far = 500;
         this.scene.add(directionalLight);
+        this.directionalLight = directionalLight;
         
         // Point light for additional illumination
         const pointLight = new THREE.PointLight(0xffffff, 0.5);
@@ -237,389 +408,2085 @@ class CubeViewer {
     }
     
     /**
-     * Create store items HTML
+     * Create store items HTML from the upgrade catalog
+     *
+     * Section titles and upgrade text can come from plugins, so they only ever go in as text
      */
     createStoreItems() {
         const storeItems = document.getElementById('storeItems');
+        storeItems.innerHTML = '';
         
-        const upgradeConfigs = {
-            explosiveness: {
-                name: '💥 Explosiveness',
-                description: 'Increases explosion force and visual effects',
-                effect: '+25% explosion force, +20% score multiplier per level'
-            },
-            fragmentCount: {
-                name: '🧩 Fragment Multiplier',
-                description: 'More fragments per explosion for bigger effects',
-                effect: '+50% more fragments, +30% score multiplier per level'
-            },
-            scoreMultiplier: {
-                name: '⭐ Score Multiplier',
-                description: 'Increases points gained per click',
-                effect: '+100% score multiplier per level'
-            },
-            explosionForce: {
-                name: '🚀 Explosion Power',
-                description: 'Makes fragments fly further and faster',
-                effect: '+50% fragment velocity, +25% score multiplier per level'
-            },
-            autoClicker: {
-                name: '🤖 Auto Clicker',
-                description: 'Automatically clicks the cube for you',
-                effect: '+1 auto click per second, +50% score multiplier per level'
+        const engine = this.engine;
+        engine.upgradeRegistry.sections.forEach(section => {
+            const upgrades = engine.upgradeRegistry.list(section.id);
+            if (upgrades.length === 0) return;
+            
+            if (section.title) {
+                const sectionDiv = document.createElement('div');
+                sectionDiv.className = `${section.id}-section`;
+                sectionDiv.innerHTML = '<h2 style="color: #ff922f; margin: 20px 0 10px 0;"></h2>';
+                sectionDiv.querySelector('h2').textContent = section.title;
+                
+                // Essence sections show the balance and what the next rebirth is worth
+                if (section.currency === 'essence') {
+                    sectionDiv.innerHTML += '<p class="essence-summary" id="essenceSummary"></p>';
+                }
+                storeItems.appendChild(sectionDiv);
+            }
+            
+            upgrades.forEach(upgrade => {
+                const itemDiv = document.createElement('div');
+                itemDiv.className = section.isRebirth ? 'store-item rebirth-item' : 'store-item';
+                itemDiv.id = `${upgrade.id}-item`;
+                itemDiv.setAttribute('role', 'group');
+                itemDiv.setAttribute('aria-labelledby', `${upgrade.id}-name`);
+                itemDiv.innerHTML = `
+                    <h3 data-part="name"></h3>
+                    <p data-part="description"></p>
+                    <div class="level">Level: <span data-part="level"></span></div>
+                    <div class="price">Cost: <span data-part="cost"></span> <span data-part="currency"></span> <span class="buy-amount" data-part="amount"></span></div>
+                    <p style="font-size: 14px; color: #888;" data-part="effect"></p>
+                    <p class="unlock-requirement" data-part="unlock"></p>
+                    <div class="afford-progress" data-part="progress">
+                        <svg class="progress-ring" viewBox="0 0 36 36">
+                            <circle class="progress-ring-track" cx="18" cy="18" r="16"></circle>
+                            <circle class="progress-ring-fill" data-part="ring" cx="18" cy="18" r="16"></circle>
+                        </svg>
+                        <span data-part="eta"></span>
+                    </div>
+                    <button class="buy-button${section.isRebirth ? ' rebirth-button' : ''}" data-part="button"></button>
+                    <p class="purchase-feedback" data-part="feedback"></p>
+                `;
+                
+                // Parts the store display updates are found by "<upgrade id>-<part>"
+                ['name', 'level', 'cost', 'amount', 'unlock', 'progress', 'ring', 'eta', 'button', 'feedback'].forEach(part => {
+                    itemDiv.querySelector(`[data-part="${part}"]`).id = `${upgrade.id}-${part}`;
+                });
+                
+                const text = {
+                    name: upgrade.name,
+                    description: upgrade.description,
+                    level: engine.upgradeLevels[upgrade.id],
+                    cost: this.formatNumber(engine.getUpgradeCost(upgrade.id)),
+                    currency: section.currency,
+                    effect: upgrade.effectText,
+                    button: section.buttonText
+                };
+                Object.keys(text).forEach(part => {
+                    itemDiv.querySelector(`[data-part="${part}"]`).textContent = text[part];
+                });
+                itemDiv.querySelector('.buy-button').addEventListener('click', () => this.buyUpgrade(upgrade.id));
+                storeItems.appendChild(itemDiv);
+            });
+        });
+    }
+    
+    /**
+     * Set up store event listeners
+     */
+    setupStoreEventListeners() {
+        this.setupModal('storeModal', 'storeButton', () => {
+            this.updateStoreDisplay();
+            this.markAffordableAsSeen();
+        });
+        
+        document.querySelectorAll('#buyAmountSelector button').forEach(button => {
+            button.addEventListener('click', () => this.setBuyAmount(button.dataset.amount));
+        });
+    }
+    
+    /**
+     * Choose how many levels each store purchase buys
+     */
+    setBuyAmount(amount) {
+        this.buyAmount = amount === 'max' ? 'max' : parseInt(amount, 10);
+        
+        document.querySelectorAll('#buyAmountSelector button').forEach(button => {
+            const isActive = button.dataset.amount === String(this.buyAmount);
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', String(isActive));
+        });
+        
+        this.updateStoreDisplay();
+    }
+    
+    /**
+     * Wire up a modal's open button, close button and backdrop click, and name it as a dialog by its heading
+     */
+    setupModal(modalId, openButtonId, onOpen) {
+        const modal = document.getElementById(modalId);
+        const closeButton = modal.querySelector('.close');
+        const heading = modal.querySelector('h2');
+        
+        modal.setAttribute('role', 'dialog');
+        modal.setAttribute('aria-modal', 'true');
+        if (heading) {
+            heading.id = heading.id || `${modalId}Title`;
+            modal.setAttribute('aria-labelledby', heading.id);
+        }
+        if (onOpen) {
+            this.modalOpenHandlers.set(modalId, onOpen);
+        }
+        
+        if (openButtonId) {
+            document.getElementById(openButtonId).addEventListener('click', () => this.openModal(modalId));
+        }
+        
+        closeButton.addEventListener('click', () => this.closeModal(modalId));
+        
+        window.addEventListener('click', (event) => {
+            if (event.target === modal) {
+                this.closeModal(modalId);
             }
+        });
+    }
+    
+    /**
+     * Show a modal and move keyboard focus into it (it goes back where it was on close)
+     */
+    openModal(modalId) {
+        const modal = document.getElementById(modalId);
+        const onOpen = this.modalOpenHandlers.get(modalId);
+        
+        if (modal.style.display !== 'block') {
+            this.modalReturnFocus.set(modalId, document.activeElement);
+        }
+        modal.style.display = 'block';
+        if (onOpen) onOpen();
+        
+        const focusable = this.getFocusableElements(modal);
+        if (focusable.length > 0) {
+            focusable[0].focus();
+        }
+    }
+    
+    closeModal(modalId) {
+        const modal = document.getElementById(modalId);
+        if (modal.style.display !== 'block') return;
+        
+        modal.style.display = 'none';
+        if (modal.contains(document.activeElement)) {
+            document.activeElement.blur();
+        }
+        
+        // Closing Settings mid-capture cancels it, so the next key pressed in the game isn't rebound
+        if (this.listeningAction && modalId === 'settingsModal') {
+            this.listeningAction = null;
+            this.renderKeyBindings();
+        }
+        
+        const returnFocus = this.modalReturnFocus.get(modalId);
+        this.modalReturnFocus.delete(modalId);
+        if (returnFocus && returnFocus.focus && document.body.contains(returnFocus)) {
+            returnFocus.focus();
+        }
+    }
+    
+    /**
+     * The open modal on top (the last open one in the page), or null
+     */
+    getOpenModal() {
+        const openModals = Array.from(document.querySelectorAll('.modal'))
+            .filter(modal => modal.style.display === 'block');
+        return openModals.length > 0 ? openModals[openModals.length - 1] : null;
+    }
+    
+    /**
+     * Controls inside an element that Tab can reach, in page order
+     */
+    getFocusableElements(container) {
+        const selector = 'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])';
+        return Array.from(container.querySelectorAll(selector))
+            .filter(element => !element.disabled && element.getClientRects().length > 0);
+    }
+    
+    /**
+     * Keep Tab and Shift+Tab cycling through the controls of an open modal
+     */
+    trapFocus(event, modal) {
+        const focusable = this.getFocusableElements(modal);
+        if (focusable.length === 0) {
+            event.preventDefault();
+            return;
+        }
+        
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const isOutside = !modal.contains(document.activeElement);
+        
+        if (event.shiftKey && (isOutside || document.activeElement === first)) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && (isOutside || document.activeElement === last)) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+    
+    /**
+     * Set up offline earnings summary event listeners
+     */
+    setupOfflineEventListeners() {
+        this.setupModal('offlineModal');
+        
+        document.getElementById('offlineCollectButton').addEventListener('click', () => this.closeModal('offlineModal'));
+    }
+    
+    /**
+     * Set up the achievements panel
+     */
+    setupAchievementsMenu() {
+        this.setupModal('achievementsModal', 'achievementsButton', () => this.renderAchievements());
+    }
+    
+    /**
+     * List every achievement with its progress in the Achievements panel
+     */
+    renderAchievements() {
+        const list = document.getElementById('achievementList');
+        const summary = document.getElementById('achievementSummary');
+        if (!list) return;
+        
+        const tracker = this.engine.achievements;
+        const stats = this.engine.getAchievementStats();
+        const achievements = tracker.list();
+        
+        list.innerHTML = '';
+        achievements.forEach(achievement => {
+            const isUnlocked = tracker.isUnlocked(achievement.id);
+            const progress = tracker.getProgress(achievement.id, stats);
+            const current = Math.min(Math.floor(stats[achievement.stat] || 0), achievement.target);
+            
+            const item = document.createElement('div');
+            item.className = `achievement-item${isUnlocked ? ' unlocked' : ''}`;
+            item.innerHTML = `
+                <div class="achievement-icon"></div>
+                <div class="achievement-details">
+                    <h3></h3>
+                    <p></p>
+                    <div class="achievement-progress"><div></div></div>
+                    <p class="achievement-count"></p>
+                </div>
+            `;
+            
+            // Plugins can register achievements, so their text only ever goes in as text
+            item.querySelector('.achievement-icon').textContent = isUnlocked ? achievement.icon : '🔒';
+            item.querySelector('h3').textContent = achievement.name;
+            item.querySelector('.achievement-details p').textContent =
+                `${achievement.description} · +${Math.round(achievement.bonus * 100)}% score`;
+            item.querySelector('.achievement-progress div').style.width = `${progress * 100}%`;
+            item.querySelector('.achievement-count').textContent = isUnlocked
+                ? 'Unlocked'
+                : `${current.toLocaleString()} / ${achievement.target.toLocaleString()}`;
+            list.appendChild(item);
+        });
+        
+        if (summary) {
+            summary.textContent = `${tracker.unlocked.size} / ${achievements.length} unlocked · ` +
+                `+${Math.round(tracker.getScoreBonus() * 100)}% score bonus`;
+        }
+    }
+    
+    /**
+     * Set up the statistics panel
+     */
+    setupStatsMenu() {
+        this.setupModal('statsModal', 'statsButton', () => this.renderStatistics());
+    }
+    
+    /**
+     * Set up the settings panel
+     */
+    setupSettingsMenu() {
+        this.setupModal('settingsModal', 'settingsButton', () => {
+            this.updateSettingControls();
+            this.renderKeyBindings();
+        });
+        
+        document.getElementById('resetKeysButton').addEventListener('click', () => {
+            this.settings.resetKeyBindings();
+            this.renderKeyBindings();
+            this.events.emit('settingsChanged', { key: 'keyBindings', value: this.settings.get('keyBindings') });
+        });
+        
+        // Each control names its setting in data-setting; sliders apply while they move
+        document.querySelectorAll('#settingsModal [data-setting]').forEach(control => {
+            control.addEventListener(control.type === 'range' ? 'input' : 'change', () => {
+                const key = control.dataset.setting;
+                let value = control.type === 'checkbox' ? control.checked : control.value;
+                if (typeof DEFAULT_SETTINGS[key] === 'number') {
+                    value = Number(value);
+                }
+                this.changeSetting(key, value);
+            });
+        });
+    }
+    
+    /**
+     * List the keyboard actions in the settings panel, each with a button to change its key
+     */
+    renderKeyBindings() {
+        const list = document.getElementById('keyBindingList');
+        if (!list) return;
+        
+        const bindings = this.settings.get('keyBindings');
+        list.innerHTML = '';
+        
+        Object.keys(KEY_ACTIONS).forEach(action => {
+            const name = KEY_ACTIONS[action].name;
+            const keys = bindings[action].map(code => this.describeKey(code)).join(' / ') || 'Unbound';
+            const isListening = this.listeningAction === action;
+            
+            const row = document.createElement('div');
+            row.className = 'setting-row';
+            const label = document.createElement('span');
+            label.textContent = name;
+            
+            const button = document.createElement('button');
+            button.id = `${action}KeyButton`;
+            button.className = isListening ? 'key-binding listening' : 'key-binding';
+            button.textContent = isListening ? 'Press a key…' : keys;
+            button.setAttribute('aria-label', isListening
+                ? `Press the new key for ${name}, or Escape to cancel`
+                : `${name}: ${keys}. Change key`);
+            button.addEventListener('click', () => this.startKeyCapture(action));
+            
+            row.append(label, button);
+            list.appendChild(row);
+        });
+    }
+    
+    /**
+     * Wait for the key to bind to an action (see onKeyDown)
+     */
+    startKeyCapture(action) {
+        this.listeningAction = action;
+        this.renderKeyBindings();
+        document.getElementById(`${action}KeyButton`).focus();
+    }
+    
+    /**
+     * Bind the key pressed while capturing; Escape and Tab cancel instead
+     */
+    finishKeyCapture(code) {
+        const action = this.listeningAction;
+        this.listeningAction = null;
+        
+        if (code !== 'Escape' && code !== 'Tab') {
+            this.settings.bindKey(action, code);
+            this.events.emit('settingsChanged', { key: 'keyBindings', value: this.settings.get('keyBindings') });
+            this.announce(`${KEY_ACTIONS[action].name} is now ${this.describeKey(code)}`);
+        }
+        
+        this.renderKeyBindings();
+        document.getElementById(`${action}KeyButton`).focus();
+    }
+    
+    /**
+     * Readable name for a KeyboardEvent.code
+     */
+    describeKey(code) {
+        const names = {
+            ArrowLeft: '←',
+            ArrowRight: '→',
+            ArrowUp: '↑',
+            ArrowDown: '↓',
+            Equal: '+',
+            Minus: '-',
+            NumpadAdd: 'Numpad +',
+            NumpadSubtract: 'Numpad -'
         };
+        return names[code] || code.replace(/^(Key|Digit)/, '');
+    }
+    
+    /**
+     * Show the current settings in the settings panel's controls
+     */
+    updateSettingControls() {
+        document.querySelectorAll('#settingsModal [data-setting]').forEach(control => {
+            const value = this.settings.get(control.dataset.setting);
+            if (control.type === 'checkbox') {
+                control.checked = value;
+            } else {
+                control.value = String(value);
+            }
+        });
+    }
+    
+    /**
+     * Save a setting and apply it straight away
+     */
+    changeSetting(key, value) {
+        this.settings.set(key, value);
+        
+        // Every displayed number depends on the notation
+        if (key === 'notation') {
+            this.updateDisplay();
+            this.updateStoreDisplay();
+        }
+        
+        if (key === 'graphicsPreset' || key in GRAPHICS_PRESETS.high) {
+            this.applyGraphicsSettings();
+        }
+        
+        if (key === 'reducedMotion') {
+            this.updatePopupMotion();
+        }
+        
+        if (AUDIO_SETTINGS.includes(key)) {
+            this.applyAudioSettings();
+        }
+        
+        // A preset changes other settings, and changing one graphics setting can change the preset
+        this.updateSettingControls();
+        this.events.emit('settingsChanged', { key, value });
+    }
+    
+    /**
+     * Apply the graphics settings to the running scene
+     */
+    applyGraphicsSettings() {
+        const graphics = this.settings.getGraphics();
+        
+        if (graphics.antialias !== this.antialias) {
+            this.recreateRenderer();
+        }
+        
+        this.renderer.setPixelRatio(this.getPixelRatio());
+        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.setShadows(graphics.shadows, graphics.shadowMapSize);
+        this.fragmentPool.setCapacity(graphics.maxFragments);
+    }
+    
+    /**
+     * Apply the volume, mute and music settings to the audio engine
+     */
+    applyAudioSettings() {
+        const settings = this.settings;
+        
+        this.audio.setVolumes({
+            master: settings.get('masterVolume'),
+            sfx: settings.get('sfxVolume'),
+            music: settings.get('musicVolume'),
+            muted: settings.get('muted')
+        });
+        this.audio.setMusicEnabled(settings.get('music'));
+    }
+    
+    /**
+     * Replace the renderer and its canvas (antialiasing can only be chosen for a new WebGL context)
+     */
+    recreateRenderer() {
+        const oldRenderer = this.renderer;
+        oldRenderer.domElement.remove();
+        oldRenderer.dispose();
+        
+        this.createRenderer();
+        this.setupCanvasListeners();
+    }
+    
+    /**
+     * Turn shadows on or off and resize the shadow map
+     */
+    setShadows(enabled, mapSize) {
+        const light = this.directionalLight;
+        
+        if (light.shadow.mapSize.width !== mapSize) {
+            light.shadow.mapSize.set(mapSize, mapSize);
+            
+            // The shadow map is recreated at the new size on the next render
+            if (light.shadow.map) {
+                light.shadow.map.dispose();
+                light.shadow.map = null;
+            }
+        }
+        
+        this.renderer.shadowMap.enabled = enabled;
+        if (light.castShadow !== enabled) {
+            light.castShadow = enabled;
+            
+            // Shadow support is compiled into materials, so rebuild them
+            this.scene.traverse(object => {
+                if (object.material) {
+                    [].concat(object.material).forEach(material => {
+                        material.needsUpdate = true;
+                    });
+                }
+            });
+        }
+    }
+    
+    /**
+     * The device pixel ratio, capped by the graphics settings
+     */
+    getPixelRatio() {
+        return Math.min(window.devicePixelRatio || 1, this.settings.get('pixelRatioCap'));
+    }
+    
+    /**
+     * Format a point amount (number or BigNum) in the player's chosen notation
+     */
+    formatNumber(value) {
+        return BigNum.from(value).format(this.settings.get('notation'));
+    }
+    
+    /**
+     * Set up the win banner's continue button
+     */
+    setupWinMessage() {
+        document.getElementById('continueButton').addEventListener('click', () => this.engine.continueAfterWin());
+    }
+    
+    /**
+     * Fill the Stats panel with lifetime and per-run numbers and the session sparkline
+     */
+    renderStatistics() {
+        const list = document.getElementById('statsList');
+        if (!list) return;
+        
+        const engine = this.engine;
+        const statistics = engine.statistics;
+        const values = statistics.values;
+        const averageRebirthTime = statistics.getAverageRebirthTime();
+        const rows = [
+            ['Manual clicks', values.manualClicks.toLocaleString()],
+            ['Auto clicks', values.autoClicks.toLocaleString()],
+            ['Points earned', this.formatNumber(values.pointsEarned)],
+            ['Points spent', this.formatNumber(values.pointsSpent)],
+            ['Highest score', this.formatNumber(values.highestScore)],
+            ['Best clicks per second', values.bestClicksPerSecond.toLocaleString()],
+            ['Time played', this.formatDuration(values.timePlayed)],
+            ['This run', this.formatDuration(statistics.getRunTime())],
+            ['Average time per rebirth', averageRebirthTime === null ? '-' : this.formatDuration(averageRebirthTime)],
+            ['Fragments spawned', values.fragmentsSpawned.toLocaleString()],
+            ['Critical hits', values.criticalHits.toLocaleString()],
+            ['Best combo', values.bestCombo.toLocaleString()],
+            ['Random events caught', values.randomEventsCaught.toLocaleString()],
+            ['Saturation wins', engine.winCount.toLocaleString()],
+            ['Current tier', engine.tierName]
+        ];
+        
+        list.innerHTML = rows.map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`).join('');
+        
+        const winHistory = document.getElementById('winHistory');
+        if (winHistory) {
+            winHistory.innerHTML = engine.winHistory.length === 0
+                ? '<li class="win-history-empty">No wins yet</li>'
+                : '';
+            
+            // Win history comes from the save, so it only ever goes in as text
+            engine.winHistory.slice().reverse().forEach(win => {
+                const item = document.createElement('li');
+                item.textContent = `🎉 ${win.name} tier at ${this.formatNumber(win.score)} points · ` +
+                    new Date(win.wonAt).toLocaleString();
+                winHistory.appendChild(item);
+            });
+        }
+        
+        this.drawSparkline(document.getElementById('statsSparkline'), statistics.sessionSamples);
+    }
+    
+    /**
+     * Draw the score history as a small line chart
+     */
+    drawSparkline(canvas, samples) {
+        if (!canvas || !canvas.getContext) return;
+        
+        const context = canvas.getContext('2d');
+        if (!context) return;
+        
+        const width = canvas.width;
+        const height = canvas.height;
+        const padding = 4;
+        context.clearRect(0, 0, width, height);
+        
+        if (samples.length < 2) {
+            context.fillStyle = '#999';
+            context.font = '14px sans-serif';
+            context.textAlign = 'center';
+            context.fillText('Collecting data...', width / 2, height / 2 + 5);
+            return;
+        }
+        
+        // Scores can be BigNums, so scale them relative to the range before plotting
+        const scores = samples.map(sample => BigNum.from(sample.score));
+        const minScore = scores.reduce((min, score) => BigNum.min(min, score));
+        const range = scores.reduce((max, score) => BigNum.max(max, score)).sub(minScore);
+        
+        context.beginPath();
+        scores.forEach((score, index) => {
+            const position = range.isZero() ? 0 : score.sub(minScore).div(range).toNumber();
+            const x = padding + (index / (samples.length - 1)) * (width - padding * 2);
+            const y = height - padding - position * (height - padding * 2);
+            if (index === 0) {
+                context.moveTo(x, y);
+            } else {
+                context.lineTo(x, y);
+            }
+        });
+        context.strokeStyle = '#ff922f';
+        context.lineWidth = 2;
+        context.stroke();
+    }
+    
+    /**
+     * Set up the Leaderboard panel, entering the run after every win and rebirth in play
+     */
+    setupLeaderboard() {
+        this.setupModal('leaderboardModal', 'leaderboardButton', () => {
+            this.runCheck = checkRunSummary(this.engine.getRunSummary(), this.engine);
+            this.renderLeaderboard();
+        });
+        
+        document.getElementById('submitScoreButton').addEventListener('click', () => this.submitRun());
+        
+        // Runs are entered at their milestones, and go to the online leaderboard once the player opts in.
+        // Loading, importing or restoring a save already at its target isn't a milestone reached here.
+        ['win', 'rebirth'].forEach(event => this.engine.on(event, (data) => {
+            if (data && data.loaded) return;
+            if (this.recordRun() && this.settings.get('submitScores')) {
+                this.submitRun();
+            }
+        }));
+    }
+    
+    /**
+     * Enter the run in the local leaderboard if it passes the plausibility check,
+     * returning whether it did
+     */
+    recordRun() {
+        const summary = this.engine.getRunSummary();
+        this.runCheck = checkRunSummary(summary, this.engine);
+        if (!this.runCheck.ok) return false;
+        
+        this.leaderboard.record(summary, this.getPlayerName());
+        return true;
+    }
+    
+    /**
+     * Name runs are ranked under: the cloud account, or "You" while signed out
+     */
+    getPlayerName() {
+        return this.cloudSync.getUsername() || 'You';
+    }
+    
+    /**
+     * Send the run to the online leaderboard set in Settings
+     */
+    async submitRun() {
+        const url = this.settings.get('leaderboardUrl');
+        
+        if (!url) {
+            this.submissionNote = 'Set a leaderboard address in Settings to submit your runs.';
+        } else {
+            try {
+                const reply = await this.leaderboard.submit(url, this.engine.getRunSummary(), this.getPlayerName(), this.engine);
+                const ranks = (reply && reply.ranks) || {};
+                const placed = this.leaderboard.categories
+                    .filter(category => ranks[category.id])
+                    .map(category => `#${ranks[category.id]} in ${category.name}`);
+                this.submissionNote = placed.length > 0 ? `✅ Submitted: ${placed.join(', ')}` : '✅ Submitted';
+            } catch (error) {
+                this.submissionNote = `❌ ${error.message}`;
+            }
+        }
+        
+        this.renderLeaderboard();
+    }
+    
+    /**
+     * Show every category's high score table, with the player's own entries highlighted
+     */
+    renderLeaderboard() {
+        const tables = document.getElementById('leaderboardTables');
+        const playerName = this.getPlayerName();
+        tables.innerHTML = '';
+        
+        this.leaderboard.categories.forEach(category => {
+            const table = document.createElement('div');
+            table.className = 'leaderboard-table';
+            
+            const heading = document.createElement('h3');
+            heading.textContent = `${category.icon} ${category.name}`;
+            table.appendChild(heading);
+            
+            const entries = this.leaderboard.getEntries(category.id);
+            if (entries.length === 0) {
+                const empty = document.createElement('p');
+                empty.className = 'leaderboard-empty';
+                empty.textContent = 'No entries yet';
+                table.appendChild(empty);
+            } else {
+                const list = document.createElement('ol');
+                entries.forEach(entry => {
+                    // Names may come from other players, so they only ever go in as text
+                    const item = document.createElement('li');
+                    item.textContent = `${entry.name} · ${this.formatLeaderboardValue(category, entry.value)}`;
+                    if (entry.name === playerName) {
+                        item.className = 'leaderboard-self';
+                    }
+                    list.appendChild(item);
+                });
+                table.appendChild(list);
+            }
+            
+            tables.appendChild(table);
+        });
+        
+        const notes = [];
+        if (this.runCheck && this.runCheck.unverifiable) {
+            notes.push(`ℹ️ ${this.runCheck.problems[0]}.`);
+        } else if (this.runCheck && !this.runCheck.ok) {
+            notes.push(`⚠️ This save can't be ranked: ${this.runCheck.problems[0]}.`);
+        }
+        if (this.submissionNote) {
+            notes.push(this.submissionNote);
+        }
+        document.getElementById('leaderboardNote').textContent = notes.join(' ');
+    }
+    
+    formatLeaderboardValue(category, value) {
+        if (category.unit === 'time') return this.formatDuration(Math.round(value));
+        if (category.unit === 'level') return `Level ${value}`;
+        return this.formatNumber(BigNum.from(value));
+    }
+    
+    /**
+     * Set up the save export/import modal
+     */
+    setupSaveMenu() {
+        this.pendingImport = null;
+        this.setupModal('saveModal', 'saveButton', () => this.openSaveMenu());
+        
+        document.getElementById('copyExportButton').addEventListener('click', () => this.copyExportCode());
+        document.getElementById('downloadSaveButton').addEventListener('click', () => this.downloadSaveFile());
+        document.getElementById('applyImportButton').addEventListener('click', () => this.applyImport());
+        document.getElementById('cancelImportButton').addEventListener('click', () => this.clearImportPreview());
+        
+        document.getElementById('checkImportButton').addEventListener('click', () => {
+            this.previewImport(() => SaveCodec.parse(document.getElementById('importCode').value));
+        });
+        
+        document.getElementById('importFile').addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            if (!file) return;
+            
+            file.text().then(text => {
+                this.previewImport(() => SaveCodec.parse(text));
+                event.target.value = '';
+            }).catch(() => {
+                this.previewImport(() => {
+                    throw new Error('This file could not be read');
+                });
+                event.target.value = '';
+            });
+        });
+    }
+    
+    /**
+     * Refresh the save modal with a fresh export code and backup list
+     */
+    openSaveMenu() {
+        document.getElementById('exportCode').value = SaveCodec.encode(this.getGameState());
+        document.getElementById('importCode').value = '';
+        this.clearImportPreview();
+        this.renderBackups();
+    }
+    
+    /**
+     * Copy the export code to the clipboard
+     */
+    copyExportCode() {
+        const exportCode = document.getElementById('exportCode');
+        exportCode.value = SaveCodec.encode(this.getGameState());
+        exportCode.select();
+        
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(exportCode.value).catch(() => document.execCommand('copy'));
+        } else {
+            document.execCommand('copy');
+        }
+    }
+    
+    /**
+     * Download the current game state as a .json backup file
+     */
+    downloadSaveFile() {
+        const blob = new Blob([SaveCodec.toFile(this.getGameState())], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        
+        link.href = url;
+        link.download = `cube-clicker-save-${new Date().toISOString().slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * Validate an import and show what it contains before applying it
+     */
+    previewImport(parse) {
+        const preview = document.getElementById('importPreview');
+        const errorText = document.getElementById('importError');
+        
+        try {
+            this.pendingImport = parse();
+        } catch (error) {
+            this.clearImportPreview();
+            errorText.textContent = `❌ ${error.message}`;
+            return;
+        }
+        
+        errorText.textContent = '';
+        document.getElementById('importScore').textContent = this.formatNumber(this.pendingImport.clickCount);
+        document.getElementById('importRebirth').textContent = this.pendingImport.rebirthLevel || 0;
+        document.getElementById('importCubes').textContent = this.pendingImport.cubeCount;
+        preview.style.display = 'block';
+    }
+    
+    /**
+     * Hide the import preview and forget the pending import
+     */
+    clearImportPreview() {
+        this.pendingImport = null;
+        document.getElementById('importPreview').style.display = 'none';
+        document.getElementById('importError').textContent = '';
+    }
+    
+    /**
+     * Replace the current game with the previewed import
+     */
+    applyImport() {
+        if (!this.pendingImport) return;
+        
+        this.applyGameState(this.pendingImport);
+        this.saveGame();
+        this.clearImportPreview();
+        this.closeModal('saveModal');
+        
+        console.log('Save imported - Score:', this.engine.clickCount.toString(), 'Rebirth level:', this.engine.rebirthLevel);
+    }
+    
+    /**
+     * List the rolling backups with restore buttons
+     */
+    async renderBackups() {
+        const backupList = document.getElementById('backupList');
+        
+        try {
+            const backups = await this.storage.loadBackups();
+            backupList.innerHTML = '';
+            
+            if (backups.length === 0) {
+                backupList.innerHTML = '<p class="backup-empty">No backups yet, one is made every few minutes.</p>';
+                return;
+            }
+            
+            backups.forEach(backup => {
+                const row = document.createElement('div');
+                row.className = 'backup-item';
+                row.innerHTML = `
+                    <span>${new Date(backup.savedAt).toLocaleString()} · ${this.formatNumber(backup.save.clickCount)} points</span>
+                    <button class="backup-restore">Restore</button>
+                `;
+                row.querySelector('.backup-restore').addEventListener('click', () => {
+                    this.previewImport(() => SaveCodec.parseState(JSON.stringify(backup.save)));
+                });
+                backupList.appendChild(row);
+            });
+        } catch (error) {
+            console.error('Error loading backups:', error);
+        }
+    }
+    
+    /**
+     * Store a rolling backup of the current game
+     */
+    backupGame() {
+        return this.storage.saveBackup(this.getGameState()).catch(error => {
+            console.error('Error backing up game:', error);
+        });
+    }
+    
+    /**
+     * Set up the Sign In button, the account panel and the sync conflict picker
+     */
+    setupAccountMenu() {
+        this.cloudSync = new CloudSync({ baseUrl: this.config.cloudSyncUrl, events: this.events });
+        this.syncConflict = null; // Conflict waiting for the player to pick a save
+        
+        this.setupModal('accountModal', 'signInButton', () => this.updateAccountDisplay());
+        this.setupModal('syncConflictModal');
+        
+        document.getElementById('signInForm').addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.signIn(
+                document.getElementById('signInUsername').value,
+                document.getElementById('signInPassword').value
+            );
+        });
+        
+        document.getElementById('signOutButton').addEventListener('click', () => this.signOut());
+        document.getElementById('syncNowButton').addEventListener('click', () => this.syncWithCloud());
+        document.getElementById('keepLocalButton').addEventListener('click', () => this.resolveSyncConflict('local'));
+        document.getElementById('keepCloudButton').addEventListener('click', () => this.resolveSyncConflict('cloud'));
+        
+        this.events.on('syncStatus', () => this.updateAccountDisplay());
+        
+        // Send the save queued while offline as soon as the connection is back
+        window.addEventListener('online', () => this.uploadToCloud());
+        
+        this.updateAccountDisplay();
+    }
+    
+    /**
+     * Sync right away if already signed in, then upload on a timer
+     */
+    startCloudSync() {
+        if (this.cloudSync.isSignedIn()) {
+            this.syncWithCloud();
+        }
+        
+        this.cloudSyncTimer = this.clock.setInterval(() => {
+            this.uploadToCloud();
+        }, this.config.cloudSyncInterval);
+    }
+    
+    async signIn(username, password) {
+        const errorText = document.getElementById('signInError');
+        errorText.textContent = '';
+        
+        try {
+            await this.cloudSync.signIn(username, password);
+        } catch (error) {
+            errorText.textContent = `❌ ${error.message}`;
+            return;
+        }
+        
+        document.getElementById('signInPassword').value = '';
+        this.updateAccountDisplay();
+        await this.syncWithCloud();
+    }
+    
+    /**
+     * Sign out, keeping the progress on this device
+     */
+    async signOut() {
+        this.syncConflict = null;
+        await this.cloudSync.signOut();
+        this.updateAccountDisplay();
+    }
+    
+    /**
+     * Reconcile this device's save with the cloud save
+     */
+    async syncWithCloud() {
+        try {
+            this.handleSyncResult(await this.cloudSync.sync(this.getGameState()));
+        } catch (error) {
+            console.error('Error syncing with the cloud:', error);
+        }
+    }
+    
+    /**
+     * Queue the current game for upload (it waits in the queue while offline)
+     */
+    uploadToCloud() {
+        if (!this.cloudSync.isSignedIn() || this.syncConflict) return;
+        
+        this.cloudSync.queue(this.getGameState())
+            .then(result => this.handleSyncResult(result))
+            .catch(error => console.error('Error uploading to the cloud:', error));
+    }
+    
+    handleSyncResult(result) {
+        if (result.status === 'conflict') {
+            this.showSyncConflict(result);
+        }
+    }
+    
+    /**
+     * Show both diverged saves for the player to pick one
+     */
+    showSyncConflict(conflict) {
+        const describe = (prefix, save) => {
+            document.getElementById(`${prefix}Score`).textContent = this.formatNumber(BigNum.from(save.clickCount || 0));
+            document.getElementById(`${prefix}Rebirth`).textContent = save.rebirthLevel || 0;
+            document.getElementById(`${prefix}Cubes`).textContent = save.cubeCount || 1;
+            document.getElementById(`${prefix}Saved`).textContent = save.lastSaved
+                ? new Date(save.lastSaved).toLocaleString()
+                : 'Unknown';
+        };
+        describe('conflictLocal', conflict.local);
+        describe('conflictCloud', conflict.remote.save);
+        
+        // Uploads wait for the player's pick only once there is something to pick from
+        this.syncConflict = conflict;
+        this.openModal('syncConflictModal');
+    }
+    
+    /**
+     * Keep the save the player picked, replacing the other one
+     */
+    async resolveSyncConflict(choice) {
+        const conflict = this.syncConflict;
+        if (!conflict) return;
+        
+        // A cloud save gets the same checks as an imported one before it replaces this game
+        let cloudState = null;
+        if (choice === 'cloud') {
+            try {
+                cloudState = SaveCodec.parseState(JSON.stringify(conflict.remote.save));
+            } catch (error) {
+                this.showToast('❌', 'Cloud save rejected', error.message);
+                return;
+            }
+        }
+        
+        this.syncConflict = null;
+        this.closeModal('syncConflictModal');
+        
+        try {
+            const result = await this.cloudSync.resolve(conflict, choice);
+            if (result.status === 'downloaded') {
+                this.applyGameState(cloudState);
+                await this.saveGame();
+                this.showToast('☁️', 'Cloud save loaded', 'Your progress from the cloud is now on this device.');
+            }
+            this.handleSyncResult(result);
+        } catch (error) {
+            console.error('Error resolving the sync conflict:', error);
+        }
+    }
+    
+    /**
+     * Show the signed-in account and sync status on the Sign In button and in the account panel
+     */
+    updateAccountDisplay() {
+        const signedIn = this.cloudSync.isSignedIn();
+        const statusText = {
+            signedOut: 'Not signed in',
+            syncing: '🔄 Syncing…',
+            synced: '✅ Your progress is saved in the cloud',
+            pending: '⏳ Waiting to upload',
+            offline: '📴 Offline, your progress uploads when you reconnect',
+            conflict: '⚠️ This device and the cloud disagree, pick a save to keep',
+            error: '❌ Sync failed, it will try again shortly'
+        };
+        
+        document.getElementById('signInButton').textContent = signedIn ? `☁️ ${this.cloudSync.getUsername()}` : 'Sign In';
+        document.getElementById('signInForm').hidden = signedIn;
+        document.getElementById('accountPanel').hidden = !signedIn;
+        document.getElementById('accountName').textContent = this.cloudSync.getUsername() || '';
+        document.getElementById('syncStatus').textContent = statusText[this.cloudSync.status];
+    }
+    
+    /**
+     * Buy the selected number of levels of an upgrade, confirming rebirths first.
+     * Returns whether anything was bought.
+     */
+    buyUpgrade(upgradeId) {
+        const engine = this.engine;
+        
+        if (engine.getUpgradeSection(upgradeId).isRebirth && engine.checkPurchase(upgradeId).ok) {
+            const essenceReward = engine.getRebirthEssenceReward();
+            
+            // Confirm rebirth
+            if (!confirm(`This will reset your score and regular upgrades but double your cubes and award ${this.formatNumber(essenceReward)} essence. Are you sure?`)) {
+                return false;
+            }
+        }
+        
+        const result = engine.buy(upgradeId, this.buyAmount);
+        this.showPurchaseFeedback(upgradeId, result.ok, result.message);
+        return result.ok;
+    }
+    
+    /**
+     * Update the store display on the next frame (coalesces rapid score changes)
+     */
+    scheduleStoreUpdate() {
+        if (this.storeUpdatePending) return;
+        
+        this.storeUpdatePending = true;
+        requestAnimationFrame(() => {
+            this.storeUpdatePending = false;
+            this.updateStoreDisplay();
+        });
+    }
+    
+    /**
+     * Update store display: levels, prices, affordability and the Store button badge
+     */
+    updateStoreDisplay() {
+        const engine = this.engine;
+        const earnRate = engine.getEarnRate();
+        const affordableKeys = [];
+        
+        engine.upgradeRegistry.list().forEach(upgrade => {
+            const levelSpan = document.getElementById(`${upgrade.id}-level`);
+            const costSpan = document.getElementById(`${upgrade.id}-cost`);
+            const amountSpan = document.getElementById(`${upgrade.id}-amount`);
+            const unlockText = document.getElementById(`${upgrade.id}-unlock`);
+            const button = document.getElementById(`${upgrade.id}-button`);
+            
+            if (!levelSpan || !costSpan) return;
+            
+            const level = engine.upgradeLevels[upgrade.id];
+            const isUnlocked = engine.upgradeRegistry.isUnlocked(upgrade.id, engine.getUnlockProgress());
+            const isMaxed = engine.upgradeRegistry.isMaxed(upgrade.id, level);
+            
+            const preview = engine.getPurchasePreview(upgrade.id, this.buyAmount);
+            const balance = engine.getBalance(upgrade.id);
+            const isAvailable = isUnlocked && !isMaxed;
+            const canAfford = isAvailable && preview.amount > 0 && balance.gte(preview.cost);
+            
+            if (canAfford) {
+                affordableKeys.push(`${upgrade.id}:${level}`);
+            }
+            
+            levelSpan.textContent = upgrade.maxLevel !== null ? `${level} / ${upgrade.maxLevel}` : level;
+            costSpan.textContent = isMaxed ? 'MAX' : this.formatNumber(preview.cost);
+            
+            if (amountSpan) {
+                amountSpan.textContent = this.describePurchaseAmount(upgrade.id, preview.amount, isMaxed);
+            }
+            
+            if (unlockText) {
+                unlockText.textContent = isUnlocked
+                    ? ''
+                    : `🔒 Requires ${engine.upgradeRegistry.describeUnlock(upgrade.id, value => this.formatNumber(value))}`;
+            }
+            if (button) {
+                // Locked and maxed upgrades can't be clicked at all, unaffordable ones still explain why
+                button.disabled = !isAvailable;
+                button.classList.toggle('unaffordable', isAvailable && !canAfford);
+                button.setAttribute('aria-disabled', String(!canAfford));
+                button.setAttribute('aria-label', this.describeBuyButton(upgrade, level, preview, isUnlocked, isMaxed));
+            }
+            
+            // Essence only comes from rebirths, so there is no earn rate to estimate with
+            const isEssence = engine.getUpgradeSection(upgrade.id).currency === 'essence';
+            this.updateAffordProgress(upgrade.id, isAvailable && !canAfford, balance, preview.cost, isEssence ? BigNum.from(0) : earnRate);
+        });
+        
+        const essenceSummary = document.getElementById('essenceSummary');
+        if (essenceSummary) {
+            essenceSummary.textContent = `💠 ${this.formatNumber(engine.essence)} essence · ` +
+                `next rebirth awards ${this.formatNumber(engine.getRebirthEssenceReward())}`;
+        }
+        
+        this.updateStoreBadge(affordableKeys);
+    }
+    
+    /**
+     * What a buy button does, for screen readers: the action, the upgrade, its level and the cost
+     */
+    describeBuyButton(upgrade, level, preview, isUnlocked, isMaxed) {
+        const section = this.engine.getUpgradeSection(upgrade.id);
+        const levelText = upgrade.maxLevel !== null ? `level ${level} of ${upgrade.maxLevel}` : `level ${level}`;
+        
+        if (!isUnlocked) return `${upgrade.name}, locked`;
+        if (isMaxed) return `${upgrade.name}, ${levelText}, maxed`;
+        
+        const amountText = preview.amount > 1 ? ` ${preview.amount} levels` : '';
+        return `${section.buttonText}${amountText}: ${upgrade.name}, ${levelText}, ` +
+            `costs ${this.formatNumber(preview.cost)} ${section.currency}`;
+    }
+    
+    /**
+     * Update the progress ring and time-to-afford estimate for an upgrade (amounts are BigNums)
+     */
+    updateAffordProgress(upgradeId, isVisible, balance, cost, earnRate) {
+        const progress = document.getElementById(`${upgradeId}-progress`);
+        const ring = document.getElementById(`${upgradeId}-ring`);
+        const eta = document.getElementById(`${upgradeId}-eta`);
+        
+        if (!progress || !ring || !eta) return;
+        
+        progress.style.display = isVisible ? 'flex' : 'none';
+        if (!isVisible) return;
+        
+        const ratio = cost.gt(0) ? Math.min(balance.div(cost).toNumber(), 1) : 1;
+        const circumference = 2 * Math.PI * 16;
+        ring.style.strokeDasharray = `${circumference}`;
+        ring.style.strokeDashoffset = `${circumference * (1 - ratio)}`;
+        
+        const remaining = cost.sub(balance);
+        eta.textContent = earnRate.gt(0)
+            ? `${Math.floor(ratio * 100)}% · affordable in ~${this.formatDuration(Math.max(1, remaining.div(earnRate).toNumber()))}`
+            : `${Math.floor(ratio * 100)}%`;
+    }
+    
+    /**
+     * Show a badge on the Store button while something new is affordable and the store is closed
+     */
+    updateStoreBadge(affordableKeys) {
+        const badge = document.getElementById('storeBadge');
+        const storeModal = document.getElementById('storeModal');
+        if (!badge) return;
+        
+        this.affordableKeys = affordableKeys;
+        
+        if (storeModal && storeModal.style.display === 'block') {
+            this.markAffordableAsSeen();
+            return;
+        }
+        
+        const newCount = affordableKeys.filter(key => !this.seenAffordable.has(key)).length;
+        badge.textContent = newCount;
+        badge.style.display = newCount > 0 ? 'flex' : 'none';
+    }
+    
+    /**
+     * Clear the Store button badge once the player has seen what is affordable
+     */
+    markAffordableAsSeen() {
+        (this.affordableKeys || []).forEach(key => this.seenAffordable.add(key));
+        
+        const badge = document.getElementById('storeBadge');
+        if (badge) {
+            badge.style.display = 'none';
+        }
+    }
+    
+    /**
+     * Show a short success or failure message on a store item
+     */
+    showPurchaseFeedback(upgradeId, success, message) {
+        const item = document.getElementById(`${upgradeId}-item`);
+        const feedback = document.getElementById(`${upgradeId}-feedback`);
+        if (!item || !feedback) return;
+        
+        feedback.textContent = `${success ? '✔' : '✖'} ${message}`;
+        feedback.className = `purchase-feedback ${success ? 'success' : 'failure'}`;
+        
+        // Restart the flash animation
+        item.classList.remove('purchase-success', 'purchase-failed');
+        void item.offsetWidth;
+        item.classList.add(success ? 'purchase-success' : 'purchase-failed');
+        
+        clearTimeout(item.feedbackTimeout);
+        item.feedbackTimeout = setTimeout(() => {
+            feedback.textContent = '';
+            item.classList.remove('purchase-success', 'purchase-failed');
+        }, 2000);
+    }
+    
+    /**
+     * Describe how many levels a purchase buys, e.g. "for 10 levels" or "(Max: 3 levels)"
+     */
+    describePurchaseAmount(upgradeId, amount, isMaxed) {
+        if (isMaxed || this.engine.getUpgradeSection(upgradeId).isRebirth) return '';
+        
+        if (this.buyAmount === 'max') {
+            const affordable = this.engine.getMaxAffordable(upgradeId);
+            return `(Max: ${affordable} level${affordable === 1 ? '' : 's'})`;
+        }
+        
+        return amount > 1 ? `for ${amount} levels` : '';
+    }
+    
+    /**
+     * Update explosion parameters based on upgrades
+     */
+    updateGameParameters() {
+        const upgradeStats = this.engine.upgradeStats;
+        
+        // Update explosion force
+        this.config.explosionForce = upgradeStats.force;
+        
+        // Update fragment count
+        this.config.fragmentsPerSide = Math.round(upgradeStats.fragments);
+        this.config.fragmentCount = Math.pow(this.config.fragmentsPerSide, 3);
+    }
+    
+    /**
+     * Set up pointer event listeners (mouse, touch and pen)
+     */
+    setupEventListeners() {
+        this.setupCanvasListeners();
+        
+        // Window resize
+        window.addEventListener('resize', this.onWindowResize.bind(this), false);
+    }
+    
+    /**
+     * Keyboard controls: the bound keys play the game (see KEY_ACTIONS in settings.js),
+     * Escape closes the open panel and Tab stays inside it
+     */
+    setupKeyboardControls() {
+        window.addEventListener('keydown', (event) => this.onKeyDown(event));
+    }
+    
+    onKeyDown(event) {
+        // The next key after choosing a binding in Settings becomes that binding
+        if (this.listeningAction) {
+            event.preventDefault();
+            this.finishKeyCapture(event.code);
+            return;
+        }
+        
+        const openModal = this.getOpenModal();
+        if (openModal) {
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                this.closeModal(openModal.id);
+            } else if (event.key === 'Tab') {
+                this.trapFocus(event, openModal);
+            }
+            return; // Game keys wait until the panel is closed
+        }
+        
+        // Text fields keep every key, and a focused button or link keeps Space and Enter
+        const target = event.target.closest ? event.target : document.body;
+        if (target.closest('input, select, textarea')) return;
+        if ((event.code === 'Space' || event.code === 'Enter') && target.closest('button, a')) return;
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+        
+        const action = this.settings.getKeyAction(event.code);
+        if (!action) return;
+        
+        event.preventDefault();
+        
+        // Holding a key turns and zooms smoothly, but hits once per press like a click
+        if (event.repeat && (action === 'hit' || action === 'store')) return;
+        this.performKeyAction(action);
+    }
+    
+    performKeyAction(action) {
+        const step = this.config.keyRotationStep;
+        const actions = {
+            hit: () => this.hitCubeFromKeyboard(),
+            rotateLeft: () => { this.targetRotationY -= step; },
+            rotateRight: () => { this.targetRotationY += step; },
+            rotateUp: () => { this.targetRotationX -= step; },
+            rotateDown: () => { this.targetRotationX += step; },
+            zoomIn: () => this.setZoom(this.camera.position.z / this.config.zoomSpeed),
+            zoomOut: () => this.setZoom(this.camera.position.z * this.config.zoomSpeed),
+            store: () => this.openModal('storeModal')
+        };
+        actions[action]();
+    }
+    
+    /**
+     * Hit the first cube that can be hit, in the middle of the face toward the camera
+     */
+    hitCubeFromKeyboard() {
+        const cube = this.cubes.find(candidate => candidate.visible && !candidate.userData.isExploding);
+        if (!cube) return;
+        
+        const impactPoint = cube.position.clone();
+        impactPoint.z += cube.scale.z; // Front face of the 2-unit cube
+        const result = this.engine.click({ zone: 'middle' });
+        
+        this.explodeCube(cube, impactPoint, this.getBurst(result, null));
+        this.showScorePopup(result.points, impactPoint, this.getPopupKind(result));
+    }
+    
+    /**
+     * Listen for pointer input on the renderer's canvas (again after the renderer is recreated)
+     */
+    setupCanvasListeners() {
+        const canvas = this.renderer.domElement;
+        
+        // Pointer events
+        canvas.addEventListener('pointerdown', this.onPointerDown.bind(this), false);
+        canvas.addEventListener('pointermove', this.onPointerMove.bind(this), false);
+        canvas.addEventListener('pointerup', this.onPointerUp.bind(this), false);
+        canvas.addEventListener('pointercancel', this.onPointerCancel.bind(this), false);
+        canvas.addEventListener('wheel', this.onMouseWheel.bind(this), { passive: false });
+        
+        // Prevent context menu on right click
+        canvas.addEventListener('contextmenu', (e) => e.preventDefault(), false);
+    }
+    
+    /**
+     * Pointer down event handler
+     */
+    onPointerDown(event) {
+        const canvas = this.renderer.domElement;
+        if (canvas.setPointerCapture) {
+            canvas.setPointerCapture(event.pointerId);
+        }
+        
+        this.pointers.set(event.pointerId, {
+            x: event.clientX,
+            y: event.clientY,
+            startX: event.clientX,
+            startY: event.clientY,
+            isDragging: false
+        });
+        
+        // A second finger turns the gesture into a pinch
+        if (this.pointers.size === 2) {
+            this.pinch = {
+                startDistance: this.getPinchDistance(),
+                startZoom: this.camera.position.z
+            };
+        }
+        
+        canvas.style.cursor = 'grabbing';
+    }
+    
+    /**
+     * Pointer move event handler
+     */
+    onPointerMove(event) {
+        const pointer = this.pointers.get(event.pointerId);
+        if (!pointer) return;
+        
+        const deltaX = event.clientX - pointer.x;
+        const deltaY = event.clientY - pointer.y;
+        
+        // If the pointer moved significantly, it's a drag rather than a tap
+        if (Math.abs(event.clientX - pointer.startX) > this.config.dragThreshold ||
+            Math.abs(event.clientY - pointer.startY) > this.config.dragThreshold) {
+            pointer.isDragging = true;
+        }
+        
+        pointer.x = event.clientX;
+        pointer.y = event.clientY;
+        
+        if (this.pinch) {
+            // Once a pinch really zooms, none of its fingers count as taps
+            if (pointer.isDragging) {
+                this.pointers.forEach(activePointer => {
+                    activePointer.isDragging = true;
+                });
+            }
+            
+            const distance = this.getPinchDistance();
+            if (distance > 0) {
+                this.setZoom(this.pinch.startZoom * (this.pinch.startDistance / distance));
+            }
+        } else if (this.pointers.size === 1) {
+            this.targetRotationY += deltaX * this.config.rotationSpeed;
+            this.targetRotationX += deltaY * this.config.rotationSpeed;
+        }
+    }
+    
+    /**
+     * Pointer up event handler
+     */
+    onPointerUp(event) {
+        const pointer = this.pointers.get(event.pointerId);
+        if (!pointer) return;
+        
+        // Every pointer that didn't drag is a tap, so several fingers can hit several cubes
+        if (!pointer.isDragging) {
+            this.checkCubeClick(event.clientX, event.clientY);
+        }
+        
+        this.onPointerCancel(event);
+    }
+    
+    /**
+     * Pointer cancel event handler (also ends a pointer after pointer up)
+     */
+    onPointerCancel(event) {
+        this.pointers.delete(event.pointerId);
+        
+        if (this.pointers.size < 2) {
+            this.pinch = null;
+        }
+        
+        if (this.pointers.size === 0) {
+            this.renderer.domElement.style.cursor = 'grab';
+        }
+    }
+    
+    /**
+     * Distance in pixels between the first two active pointers
+     */
+    getPinchDistance() {
+        const [first, second] = this.pointers.values();
+        return Math.hypot(first.x - second.x, first.y - second.y);
+    }
+    
+    /**
+     * Set the camera distance, clamped to the zoom limits
+     */
+    setZoom(distance) {
+        this.camera.position.z = Math.max(
+            this.config.minZoom, 
+            Math.min(this.config.maxZoom, distance)
+        );
+    }
+    
+    /**
+     * Mouse wheel event handler for zooming
+     */
+    onMouseWheel(event) {
+        event.preventDefault();
+        
+        const scale = event.deltaY > 0 ? this.config.zoomSpeed : 1 / this.config.zoomSpeed;
+        this.setZoom(this.camera.position.z * scale);
+    }
+    
+    /**
+     * Check if cube was clicked using raycasting
+     */
+    checkCubeClick(clientX, clientY) {
+        // Calculate pointer position in normalized device coordinates (-1 to +1) relative to the canvas
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        this.mouse.x = ((clientX - rect.left) / rect.width) * 2 - 1;
+        this.mouse.y = -((clientY - rect.top) / rect.height) * 2 + 1;
+        
+        // Update raycaster
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+        
+        // Only cubes that aren't exploding or respawning can be hit
+        const clickableCubes = this.cubes.filter(cube => cube.visible && !cube.userData.isExploding);
+        const intersects = this.raycaster.intersectObjects(clickableCubes);
+        
+        // A random event cube is caught ahead of any cube behind it
+        const eventHits = this.eventCube ? this.raycaster.intersectObject(this.eventCube) : [];
+        if (eventHits.length > 0) {
+            this.catchEventCube(eventHits[0].point);
+            return;
+        }
+        
+        if (intersects.length > 0) {
+            const hit = intersects[0];
+            const zone = hit.uv ? this.engine.getHitZone(hit.uv.x, hit.uv.y) : 'middle';
+            const result = this.engine.click({ zone });
+            
+            // Explode the cube that was hit, from where it was hit, styled by how it was hit
+            this.explodeCube(hit.object, hit.point, this.getBurst(result, hit.face));
+            this.showScorePopup(result.points, hit.point, this.getPopupKind(result));
+        }
+    }
+    
+    /**
+     * Advance the game engine on the game clock
+     */
+    startEngine() {
+        const tickRate = this.config.engineTickRate;
+        this.engineTimer = this.clock.setInterval(() => {
+            this.engine.tick(tickRate / 1000);
+        }, tickRate);
+    }
+    
+    /**
+     * Explode a random idle cube for auto clicks, throttled so high levels don't flood the scene with fragments
+     */
+    explodeForAutoClick() {
+        const now = this.clock.now();
+        if (now - this.lastAutoExplosion < this.config.autoClickExplosionInterval) return;
+        
+        const idleCubes = this.cubes.filter(cube => !cube.userData.isExploding);
+        if (idleCubes.length > 0) {
+            const cube = idleCubes[Math.floor(Math.random() * idleCubes.length)];
+            this.lastAutoExplosion = now;
+            this.explodeCube(cube, cube.position.clone());
+            
+            // Everything auto-clicked since the last auto explosion shows as one popup
+            this.showScorePopup(this.pendingAutoPoints, cube.position, 'auto');
+            this.pendingAutoPoints = BigNum.from(0);
+        }
+    }
+    
+    /**
+     * Set up the score popup layer
+     */
+    setupScorePopups() {
+        this.scorePopups = new ScorePopups(document.getElementById('popupLayer'), {
+            poolSize: this.config.maxPopups,
+            formatNumber: value => this.formatNumber(value)
+        });
+        
+        this.engine.on('click', () => this.popCounter());
+        this.updatePopupMotion();
+    }
+    
+    /**
+     * Popups fade in place instead of rising with reduced motion
+     */
+    updatePopupMotion() {
+        document.getElementById('popupLayer').classList.toggle('reduced-motion', this.settings.get('reducedMotion'));
+    }
+    
+    /**
+     * Queue a "+N" popup over a point in the scene
+     */
+    showScorePopup(points, worldPoint, kind) {
+        const { x, y } = this.projectToScreen(worldPoint);
+        this.scorePopups.add(points, x, y, kind);
+    }
+    
+    /**
+     * Popup style for a manual click result
+     */
+    getPopupKind(result) {
+        if (result.isCritical) return 'critical';
+        if (result.combo >= this.config.comboPopupThreshold) return 'combo';
+        return 'normal';
+    }
+    
+    /**
+     * Page coordinates of a point in the scene
+     */
+    projectToScreen(worldPoint) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const projected = worldPoint.clone().project(this.camera);
+        
+        return {
+            x: rect.left + (projected.x + 1) / 2 * rect.width,
+            y: rect.top + (1 - projected.y) / 2 * rect.height
+        };
+    }
+    
+    /**
+     * Briefly enlarge the score counter (restarting the CSS animation)
+     */
+    popCounter() {
+        const counterElement = document.getElementById('clickCounter');
+        if (!counterElement || this.settings.get('reducedMotion')) return;
+        
+        counterElement.classList.remove('pop');
+        void counterElement.offsetWidth;
+        counterElement.classList.add('pop');
+    }
+    
+    /**
+     * Subscribe the view to game engine events
+     */
+    setupEngineEvents() {
+        const engine = this.engine;
+        
+        engine.on('scoreChanged', ({ source, points }) => {
+            this.updateSaturation();
+            this.updateDisplay();
+            this.announceScoreMilestone();
+            
+            if (source === 'auto') {
+                this.pendingAutoPoints = this.pendingAutoPoints.add(points);
+                this.explodeForAutoClick();
+            }
+        });
+        
+        engine.on('upgradePurchased', ({ id, amount, level }) => {
+            this.updateGameParameters();
+            this.updateDisplay();
+            this.updateStoreDisplay();
+            this.saveGame();
+            
+            const upgrade = engine.upgradeRegistry.get(id);
+            this.announce(`Bought ${amount === 1 ? '' : `${amount} levels of `}${upgrade.name}, now level ${level}`);
+            console.log(`Bought ${amount} ${id} upgrade level(s)! New level: ${level}`);
+        });
+        
+        engine.on('rebirth', ({ cubeCount }) => {
+            this.updateGameParameters();
+            this.updateTierColors();
+            this.updateWinMessage();
+            
+            this.resetScoreMilestone();
+            
+            // Clear fragments and recreate cubes
+            this.clearFragments();
+            this.createCubes();
+            
+            // Update display
+            this.updateSaturation();
+            this.updateDisplay();
+            this.updateStoreDisplay();
+            this.saveGame();
+            
+            console.log(`Rebirth! New cube count: ${cubeCount}, Rebirth level: ${engine.rebirthLevel}`);
+        });
         
-        const rebirthConfigs = {
-            doubleCubes: {
-                name: '🎲 Double Cubes',
-                description: 'REBIRTH: Doubles your cubes but resets progress',
-                effect: '2x cube count, resets score and regular upgrades'
+        engine.on('achievement', achievement => {
+            this.showToast(achievement.icon, `Achievement unlocked: ${achievement.name}`,
+                `${achievement.description} · +${Math.round(achievement.bonus * 100)}% score`);
+            console.log(`Achievement unlocked: ${achievement.id}`);
+            
+            this.updateDisplay();
+            this.saveGame();
+            
+            const achievementsModal = document.getElementById('achievementsModal');
+            if (achievementsModal && achievementsModal.style.display === 'block') {
+                this.renderAchievements();
             }
-        };
+        });
         
-        // Regular upgrades
-        Object.keys(this.upgrades).forEach(upgradeKey => {
-            const config = upgradeConfigs[upgradeKey];
-            const upgrade = this.upgrades[upgradeKey];
-            
-            const itemDiv = document.createElement('div');
-            itemDiv.className = 'store-item';
-            itemDiv.innerHTML = `
-                <h3>${config.name}</h3>
-                <p>${config.description}</p>
-                <div class="level">Level: <span id="${upgradeKey}-level">${upgrade.level}</span></div>
-                <div class="price">Cost: <span id="${upgradeKey}-cost">${this.getUpgradeCost(upgradeKey).toLocaleString()}</span> points</div>
-                <p style="font-size: 14px; color: #888;">${config.effect}</p>
-                <button class="buy-button" onclick="cubeViewer.buyUpgrade('${upgradeKey}')">
-                    Buy Upgrade
-                </button>
-            `;
-            storeItems.appendChild(itemDiv);
+        engine.on('win', ({ name }) => {
+            this.updateWinMessage();
+            console.log(`🎉 CONGRATULATIONS! You reached maximum ${name} saturation! 🎉`);
+            this.saveGame();
         });
         
-        // Rebirth upgrades section
-        const rebirthSection = document.createElement('div');
-        rebirthSection.className = 'rebirth-section';
-        rebirthSection.innerHTML = '<h2 style="color: #ff922f; margin: 20px 0 10px 0;">🔄 Rebirth Upgrades</h2>';
-        storeItems.appendChild(rebirthSection);
+        engine.on('tier', () => {
+            this.updateTierColors();
+            this.updateWinMessage();
+            this.updateSaturation();
+            this.updateDisplay();
+            this.saveGame();
+        });
         
-        Object.keys(this.rebirthUpgrades).forEach(upgradeKey => {
-            const config = rebirthConfigs[upgradeKey];
-            const upgrade = this.rebirthUpgrades[upgradeKey];
+        engine.on('offline', ({ seconds, clicks, points, wasCapped }) => {
+            if (seconds >= this.config.minOfflineSummarySeconds) {
+                this.showOfflineSummary(seconds, clicks, points, wasCapped);
+            }
             
-            const itemDiv = document.createElement('div');
-            itemDiv.className = 'store-item rebirth-item';
-            itemDiv.innerHTML = `
-                <h3>${config.name}</h3>
-                <p>${config.description}</p>
-                <div class="level">Level: <span id="${upgradeKey}-level">${upgrade.level}</span></div>
-                <div class="price">Cost: <span id="${upgradeKey}-cost">${this.getRebirthUpgradeCost(upgradeKey).toLocaleString()}</span> points</div>
-                <p style="font-size: 14px; color: #888;">${config.effect}</p>
-                <button class="buy-button rebirth-button" onclick="cubeViewer.buyRebirthUpgrade('${upgradeKey}')">
-                    Rebirth
-                </button>
-            `;
-            storeItems.appendChild(itemDiv);
+            console.log(`Offline progress: ${clicks} auto clicks over ${Math.round(seconds)}s for ${points.toString()} points`);
         });
     }
     
     /**
-     * Set up store event listeners
+     * Create the audio engine and play sounds for game events
      */
-    setupStoreEventListeners() {
-        const storeButton = document.getElementById('storeButton');
-        const storeModal = document.getElementById('storeModal');
-        const closeButton = document.querySelector('.close');
+    setupAudio() {
+        this.audio = new GameAudio({ maxVoices: this.config.maxVoices });
+        this.applyAudioSettings();
+        
+        // Browsers only let audio start from a user gesture
+        const startAudio = () => {
+            this.audio.start();
+            window.removeEventListener('pointerdown', startAudio);
+            window.removeEventListener('keydown', startAudio);
+        };
+        window.addEventListener('pointerdown', startAudio);
+        window.addEventListener('keydown', startAudio);
         
-        storeButton.addEventListener('click', () => {
-            storeModal.style.display = 'block';
-            this.updateStoreDisplay();
-        });
+        this.events.on('explode', ({ fragments }) => this.audio.playExplosion(this.config.explosionForce, fragments));
+        this.engine.on('upgradePurchased', () => this.audio.playPurchaseChime());
+        this.engine.on('rebirth', () => this.audio.playRebirthChime());
+        this.engine.on('win', () => this.audio.playWinFanfare());
+    }
+    
+    /**
+     * Show random event cubes and their buffs
+     */
+    setupRandomEvents() {
+        const engine = this.engine;
         
-        closeButton.addEventListener('click', () => {
-            storeModal.style.display = 'none';
+        engine.on('randomEvent', event => {
+            this.spawnEventCube(event);
+            this.showToast(event.icon, `${event.name}!`, 'Click it before it escapes');
         });
         
-        window.addEventListener('click', (event) => {
-            if (event.target === storeModal) {
-                storeModal.style.display = 'none';
-            }
+        engine.on('randomEventEscaped', () => this.removeEventCube());
+        
+        engine.on('randomEventCaught', ({ event }) => {
+            this.showToast(event.icon, `${event.name} caught!`, event.description);
+            this.updateDisplay();
+            this.saveGame();
         });
+        
+        engine.on('buffEnded', () => this.updateDisplay());
     }
     
     /**
-     * Get the cost of an upgrade
+     * Send a random event's cube flying across the view, weaving up and down
      */
-    getUpgradeCost(upgradeKey) {
-        const upgrade = this.upgrades[upgradeKey];
-        return Math.floor(upgrade.baseCost * Math.pow(upgrade.multiplier, upgrade.level));
+    spawnEventCube(event) {
+        this.removeEventCube();
+        
+        const size = this.config.eventCubeSize;
+        const cube = new THREE.Mesh(
+            new THREE.BoxGeometry(size, size, size),
+            new THREE.MeshLambertMaterial({ color: event.color, emissive: event.color, emissiveIntensity: 0.4 })
+        );
+        cube.castShadow = true;
+        
+        // Cross the visible width at the cubes' depth, entering and leaving off-screen
+        const halfHeight = Math.tan(THREE.MathUtils.degToRad(this.camera.fov / 2)) * this.camera.position.z;
+        const halfWidth = halfHeight * this.camera.aspect + size;
+        const direction = Math.random() < 0.5 ? 1 : -1;
+        
+        cube.userData = {
+            event,
+            startX: -direction * halfWidth,
+            endX: direction * halfWidth,
+            baseY: (Math.random() - 0.3) * halfHeight,
+            spawnedAt: this.clock.now(),
+            lifetime: event.lifetime * 1000
+        };
+        
+        this.eventCube = cube;
+        this.updateEventCube(cube.userData.spawnedAt);
+        this.scene.add(cube);
     }
     
     /**
-     * Buy an upgrade
+     * Move the random event cube along its flight by one simulation step
      */
-    buyUpgrade(upgradeKey) {
-        const cost = this.getUpgradeCost(upgradeKey);
+    updateEventCube(now) {
+        const cube = this.eventCube;
+        const flight = cube.userData;
+        const progress = Math.min((now - flight.spawnedAt) / flight.lifetime, 1);
+        
+        cube.position.set(
+            flight.startX + (flight.endX - flight.startX) * progress,
+            flight.baseY + Math.sin(progress * Math.PI * 4) * this.config.eventCubeWobble,
+            1 // In front of the cubes
+        );
+        cube.rotation.x = progress * Math.PI * 6;
+        cube.rotation.y = progress * Math.PI * 4;
+    }
+    
+    removeEventCube() {
+        if (!this.eventCube) return;
         
-        if (this.clickCount >= cost) {
-            this.clickCount -= cost;
-            this.upgrades[upgradeKey].level++;
-            
-            // Update display
-            this.updateDisplay();
-            this.updateStoreDisplay();
-            this.updateGameParameters();
-            this.saveGame();
-            
-            console.log(`Bought ${upgradeKey} upgrade! New level: ${this.upgrades[upgradeKey].level}`);
-        }
+        this.scene.remove(this.eventCube);
+        this.eventCube.geometry.dispose();
+        this.eventCube.material.dispose();
+        this.eventCube = null;
     }
     
     /**
-     * Buy rebirth upgrade
+     * Catch the random event cube that was clicked, bursting it where it was hit
      */
-    buyRebirthUpgrade(upgradeKey) {
-        const cost = this.getRebirthUpgradeCost(upgradeKey);
+    catchEventCube(point) {
+        const result = this.engine.catchRandomEvent();
+        if (!result) return;
         
-        if (this.clickCount >= cost) {
-            // Confirm rebirth
-            if (confirm('This will reset your score and regular upgrades but double your cubes. Are you sure?')) {
-                this.rebirthUpgrades[upgradeKey].level++;
-                this.rebirthLevel++;
-                
-                // Reset progress
-                this.clickCount = 0;
-                Object.keys(this.upgrades).forEach(key => {
-                    this.upgrades[key].level = 0;
-                });
-                
-                // Double cube count
-                this.cubeCount = Math.pow(2, this.rebirthUpgrades.doubleCubes.level);
-                
-                // Clear fragments and recreate cubes
-                this.clearFragments();
-                this.createCubes();
-                
-                // Update display
-                this.updateDisplay();
-                this.updateStoreDisplay();
-                this.updateGameParameters();
-                this.saveGame();
-                
-                console.log(`Rebirth! New cube count: ${this.cubeCount}, Rebirth level: ${this.rebirthLevel}`);
-            }
+        const burst = this.createBurst('edge');
+        burst.highlight = 1;
+        this.createFragments(this.eventCube, point, burst);
+        this.removeEventCube();
+        
+        if (result.points) {
+            this.showScorePopup(result.points, point, 'event');
         }
+        this.audio.playEventChime();
     }
     
     /**
-     * Get rebirth upgrade cost
+     * Show a timer for each active buff under the score
      */
-    getRebirthUpgradeCost(upgradeKey) {
-        const upgrade = this.rebirthUpgrades[upgradeKey];
-        return Math.floor(upgrade.baseCost * Math.pow(upgrade.multiplier, upgrade.level));
+    updateBuffDisplay() {
+        const buffs = this.engine.randomEvents.getActiveBuffs();
+        const shown = buffs.map(({ event, remaining }) => `${event.id}:${Math.ceil(remaining)}`).join(',');
+        if (shown === this.shownBuffs) return;
+        this.shownBuffs = shown;
+        
+        const buffList = document.getElementById('buffList');
+        buffList.innerHTML = '';
+        buffs.forEach(({ event, remaining }) => {
+            const timer = document.createElement('span');
+            timer.className = 'buff-timer';
+            timer.textContent = `${event.icon} ${event.name} · ${this.formatDuration(Math.ceil(remaining))}`;
+            buffList.appendChild(timer);
+        });
     }
     
     /**
-     * Update store display
+     * Rain fragments onto the scene while a buff with fragmentRain is active
      */
-    updateStoreDisplay() {
-        Object.keys(this.upgrades).forEach(upgradeKey => {
-            const levelSpan = document.getElementById(`${upgradeKey}-level`);
-            const costSpan = document.getElementById(`${upgradeKey}-cost`);
-            
-            if (levelSpan && costSpan) {
-                levelSpan.textContent = this.upgrades[upgradeKey].level;
-                costSpan.textContent = this.getUpgradeCost(upgradeKey).toLocaleString();
-            }
-        });
+    updateFragmentRain(dt) {
+        const rate = this.engine.randomEvents.getActiveBuffs()
+            .reduce((total, { event }) => total + (event.buff.fragmentRain || 0), 0);
+        if (rate === 0) {
+            this.fragmentRainProgress = 0;
+            return;
+        }
         
-        Object.keys(this.rebirthUpgrades).forEach(upgradeKey => {
-            const levelSpan = document.getElementById(`${upgradeKey}-level`);
-            const costSpan = document.getElementById(`${upgradeKey}-cost`);
-            
-            if (levelSpan && costSpan) {
-                levelSpan.textContent = this.rebirthUpgrades[upgradeKey].level;
-                costSpan.textContent = this.getRebirthUpgradeCost(upgradeKey).toLocaleString();
-            }
-        });
+        this.fragmentRainProgress += rate * dt;
+        const count = Math.floor(this.fragmentRainProgress);
+        this.fragmentRainProgress -= count;
+        
+        const halfHeight = Math.tan(THREE.MathUtils.degToRad(this.camera.fov / 2)) * this.camera.position.z;
+        const halfWidth = halfHeight * this.camera.aspect;
+        const position = new THREE.Vector3();
+        const rotation = new THREE.Euler();
+        const velocity = new THREE.Vector3();
+        const angularVelocity = new THREE.Vector3();
+        
+        for (let i = 0; i < count; i++) {
+            position.set((Math.random() * 2 - 1) * halfWidth, halfHeight + 1, (Math.random() - 0.5) * 4);
+            rotation.set(Math.random() * Math.PI, Math.random() * Math.PI, 0);
+            velocity.set((Math.random() - 0.5) * 2, -Math.random() * 4, 0);
+            angularVelocity.set(
+                (Math.random() - 0.5) * this.config.fragmentSpin,
+                (Math.random() - 0.5) * this.config.fragmentSpin,
+                0
+            );
+            this.fragmentPool.spawn(position, rotation, velocity, angularVelocity, Math.floor(Math.random() * this.targetColors.length));
+        }
     }
     
     /**
-     * Update game parameters based on upgrades
+     * Add a plugin's store sections, upgrades and random events, then hand it the plugin API (see plugins.js)
      */
-    updateGameParameters() {
-        // Calculate total score multiplier from all upgrades
-        this.scoreMultiplier = 1 + 
-            this.upgrades.scoreMultiplier.level * 1.0 +      // +100% per level
-            this.upgrades.explosiveness.level * 0.2 +        // +20% per level
-            this.upgrades.fragmentCount.level * 0.3 +        // +30% per level
-            this.upgrades.explosionForce.level * 0.25 +      // +25% per level
-            this.upgrades.autoClicker.level * 0.5;           // +50% per level
+    installPlugin(plugin) {
+        (plugin.sections || []).forEach(section => this.engine.registerStoreSection(section));
+        (plugin.upgrades || []).forEach(definition => this.engine.registerUpgrade(definition));
+        (plugin.randomEvents || []).forEach(definition => this.engine.randomEvents.register(definition));
         
-        // Update explosion force
-        this.config.explosionForce = 0.3 * (1 + this.upgrades.explosiveness.level * 0.25 + this.upgrades.explosionForce.level * 0.5);
+        if (plugin.sections || plugin.upgrades) {
+            this.createStoreItems();
+            this.updateGameParameters();
+            this.updateStoreDisplay();
+        }
         
-        // Update fragment count
-        this.config.fragmentCount = 27 * (1 + this.upgrades.fragmentCount.level * 0.5);
+        if (plugin.setup) {
+            plugin.setup({
+                events: this.events,
+                engine: this.engine,
+                scene: this.scene,
+                THREE,
+                addHudWidget: element => this.addHudWidget(element),
+                addSceneObject: (object, update) => this.addSceneObject(object, update)
+            });
+        }
+        
+        console.log(`Plugin installed: ${plugin.id}`);
     }
     
     /**
-     * Set up mouse event listeners (removed mobile/touch support)
+     * Show a plugin element under the score, returning a function that removes it
      */
-    setupEventListeners() {
-        const canvas = this.renderer.domElement;
-        
-        // Mouse events
-        canvas.addEventListener('mousedown', this.onMouseDown.bind(this), false);
-        canvas.addEventListener('mousemove', this.onMouseMove.bind(this), false);
-        canvas.addEventListener('mouseup', this.onMouseUp.bind(this), false);
-        canvas.addEventListener('wheel', this.onMouseWheel.bind(this), false);
-        
-        // Window resize
-        window.addEventListener('resize', this.onWindowResize.bind(this), false);
-        
-        // Prevent context menu on right click
-        canvas.addEventListener('contextmenu', (e) => e.preventDefault(), false);
+    addHudWidget(element) {
+        document.getElementById('hudWidgets').appendChild(element);
+        return () => element.remove();
     }
     
     /**
-     * Mouse down event handler
+     * Add a plugin object to the scene, optionally updated every simulation step,
+     * returning a function that removes it
      */
-    onMouseDown(event) {
-        this.mouseDown = true;
-        this.mouseX = event.clientX;
-        this.mouseY = event.clientY;
-        this.isDragging = false;
-        this.renderer.domElement.style.cursor = 'grabbing';
+    addSceneObject(object, update) {
+        this.scene.add(object);
+        if (update) {
+            this.sceneUpdates.push(update);
+        }
+        
+        return () => {
+            this.scene.remove(object);
+            this.sceneUpdates = this.sceneUpdates.filter(existing => existing !== update);
+        };
     }
     
     /**
-     * Mouse move event handler
+     * Show the "while you were away" summary
      */
-    onMouseMove(event) {
-        if (!this.mouseDown) return;
+    showOfflineSummary(seconds, clicks, points, wasCapped) {
+        const offlineModal = document.getElementById('offlineModal');
+        const summary = document.getElementById('offlineSummary');
+        const capNote = document.getElementById('offlineCapNote');
         
-        const deltaX = event.clientX - this.mouseX;
-        const deltaY = event.clientY - this.mouseY;
+        if (!offlineModal || !summary) return;
         
-        // If mouse moved significantly, it's a drag
-        if (Math.abs(deltaX) > 3 || Math.abs(deltaY) > 3) {
-            this.isDragging = true;
-        }
+        summary.textContent = `Your auto clickers worked for ${this.formatDuration(seconds)} and clicked ` +
+            `${clicks.toLocaleString()} times, earning ${this.formatNumber(points)} points.`;
         
-        this.targetRotationY += deltaX * this.config.rotationSpeed;
-        this.targetRotationX += deltaY * this.config.rotationSpeed;
+        if (capNote) {
+            capNote.textContent = wasCapped
+                ? `Offline earnings are capped at ${this.formatDuration(this.engine.config.maxOfflineSeconds)}.`
+                : '';
+        }
         
-        this.mouseX = event.clientX;
-        this.mouseY = event.clientY;
+        this.openModal('offlineModal');
     }
     
     /**
-     * Mouse up event handler
+     * Format a duration in seconds as a short human readable string
      */
-    onMouseUp(event) {
-        // If it wasn't a drag, check for cube click
-        if (!this.isDragging) {
-            this.checkCubeClick(event);
-        }
-        
-        this.mouseDown = false;
-        this.isDragging = false;
-        this.renderer.domElement.style.cursor = 'grab';
+    formatDuration(seconds) {
+        const totalSeconds = Math.floor(seconds);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const secs = totalSeconds % 60;
+        
+        if (hours > 0) return `${hours}h ${minutes}m`;
+        if (minutes > 0) return `${minutes}m ${secs}s`;
+        return `${secs}s`;
     }
     
     /**
-     * Mouse wheel event handler for zooming
+     * Show a notification that slides in and fades away on its own
      */
-    onMouseWheel(event) {
-        event.preventDefault();
-        
-        const scale = event.deltaY > 0 ? this.config.zoomSpeed : 1 / this.config.zoomSpeed;
-        this.camera.position.z *= scale;
-        this.camera.position.z = Math.max(
-            this.config.minZoom, 
-            Math.min(this.config.maxZoom, this.camera.position.z)
-        );
+    showToast(icon, title, text) {
+        const container = document.getElementById('toastContainer');
+        if (!container) return;
+        
+        const toast = document.createElement('div');
+        toast.className = 'toast';
+        toast.innerHTML = `
+            <span class="toast-icon"></span>
+            <div>
+                <strong></strong>
+                <p></p>
+            </div>
+        `;
+        
+        // Random event names can come from plugins, so toast text only ever goes in as text
+        toast.querySelector('.toast-icon').textContent = icon;
+        toast.querySelector('strong').textContent = title;
+        toast.querySelector('p').textContent = text;
+        container.appendChild(toast);
+        
+        setTimeout(() => toast.classList.add('hiding'), this.config.toastDuration);
+        setTimeout(() => toast.remove(), this.config.toastDuration + 400);
     }
     
     /**
-     * Check if cube was clicked using raycasting
+     * Have screen readers read out a message (through the #announcer live region)
      */
-    checkCubeClick(event) {
-        // Don't allow clicking during explosion
-        if (this.isExploding) return;
-        
-        // Calculate mouse position in normalized device coordinates (-1 to +1)
-        this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-        this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
-        
-        // Update raycaster
-        this.raycaster.setFromCamera(this.mouse, this.camera);
-        
-        // Check for intersections with any cube
-        const intersects = this.raycaster.intersectObjects(this.cubes);
+    announce(message) {
+        const announcer = document.getElementById('announcer');
+        if (!announcer) return;
+        
+        // Emptying the region first gets a repeated message read again
+        announcer.textContent = '';
+        clearTimeout(this.announceTimeout);
+        this.announceTimeout = setTimeout(() => {
+            announcer.textContent = message;
+        }, 100);
+    }
+    
+    /**
+     * Announce each power of ten the score climbs past
+     */
+    announceScoreMilestone() {
+        const score = this.engine.clickCount;
+        if (score.lt(this.nextScoreMilestone)) return;
         
-        if (intersects.length > 0) {
-            this.incrementCounter();
-            
-            // Explode all cubes if one is clicked
-            this.cubes.forEach(cube => {
-                if (cube.visible) {
-                    const cubeCenter = cube.position.clone();
-                    this.explodeCube(cubeCenter);
-                }
-            });
-        }
+        const milestone = BigNum.fromLog10(score.parts().exponent);
+        this.announce(`Score milestone: ${this.formatNumber(milestone)} points`);
+        this.resetScoreMilestone();
     }
     
     /**
-     * Increment the click counter and update display
+     * Aim the next score milestone at the power of ten above the current score
      */
-    incrementCounter() {
-        this.clickCount += this.scoreMultiplier;
-        this.updateSaturation();
-        this.updateDisplay();
+    resetScoreMilestone() {
+        const score = this.engine.clickCount;
+        this.nextScoreMilestone = BigNum.fromLog10(score.gt(0) ? score.parts().exponent + 1 : 1);
     }
     
     /**
      * Update cube saturation based on score
      */
     updateSaturation() {
-        // Calculate progress (0 to 1)
-        const progress = Math.min(this.clickCount / this.maxScore, 1);
+        const progress = this.engine.getSaturationProgress();
         
         // Update each material color
         this.baseMaterials.forEach((material, index) => {
-            const targetColor = this.targetColors[index];
-            const currentColor = this.interpolateColor(0x808080, targetColor, progress);
+            const currentColor = this.interpolateColor(this.startColors[index], this.targetColors[index], progress);
             material.color.setHex(currentColor);
         });
         
         // Update existing fragments to match current saturation
         this.updateFragmentColors(progress);
-        
-        // Check for win condition
-        if (this.clickCount >= this.maxScore && !this.hasWon) {
-            this.triggerWin();
-        }
     }
     
     /**
      * Update colors of existing fragments based on current saturation
      */
     updateFragmentColors(progress) {
-        this.fragments.forEach(fragment => {
-            // Store original target color if not already stored
-            if (!fragment.originalTargetColor) {
-                // Assign a random target color that will be consistent for this fragment
-                fragment.originalTargetColor = this.targetColors[Math.floor(Math.random() * this.targetColors.length)];
-            }
-            
-            // Update fragment color based on current progress
-            const newColor = this.interpolateColor(0x808080, fragment.originalTargetColor, progress);
-            fragment.material.color.setHex(newColor);
-        });
+        // Fragments keep a palette index, so only the palette itself changes
+        this.fragmentPool.setPalette([
+            ...this.targetColors.map((targetColor, index) =>
+                this.interpolateColor(this.startColors[index], targetColor, progress)
+            ),
+            this.config.highlightColor
+        ]);
     }
     
     /**
@@ -648,223 +2515,324 @@ class CubeViewer {
      * Update the display elements
      */
     updateDisplay() {
+        const engine = this.engine;
         const counterElement = document.getElementById('clickCounter');
         const multiplierDisplay = document.getElementById('multiplierDisplay');
         const progressBar = document.getElementById('fullProgressBar');
         const progressText = document.getElementById('progressText');
         
         if (counterElement) {
-            counterElement.textContent = this.clickCount.toLocaleString();
-            
-            // Add a brief animation effect
-            counterElement.style.transform = 'scale(1.2)';
-            counterElement.style.color = '#ff922f';
-            
-            setTimeout(() => {
-                counterElement.style.transform = 'scale(1)';
-                counterElement.style.color = '';
-            }, 150);
+            counterElement.textContent = this.formatNumber(engine.clickCount);
         }
         
         if (multiplierDisplay) {
-            multiplierDisplay.textContent = `x${this.scoreMultiplier.toFixed(1)} multiplier`;
+            multiplierDisplay.textContent = `x${engine.scoreMultiplier.toFixed(1)} multiplier`;
+        }
+        
+        this.updateIncomeDisplay();
+        
+        const rebirthDisplay = document.getElementById('rebirthDisplay');
+        if (rebirthDisplay) {
+            rebirthDisplay.hidden = engine.rebirthLevel === 0 && engine.essence.isZero();
+            rebirthDisplay.textContent = `🔄 Rebirth ${engine.rebirthLevel} · 💠 ${this.formatNumber(engine.essence)} essence`;
         }
         
+        // Keep store prices and affordability in step with the score
+        this.scheduleStoreUpdate();
+        
         if (progressBar && progressText) {
-            const progress = Math.min(this.clickCount / this.maxScore, 1);
+            const progress = engine.getSaturationProgress();
             const percentage = Math.round(progress * 100);
             
             progressBar.style.width = `${percentage}%`;
-            progressText.textContent = `${percentage}% saturation`;
+            progressText.textContent = `${engine.tierName} tier · ${percentage}% saturation · ` +
+                `${this.formatNumber(engine.clickCount)} / ${this.formatNumber(engine.maxScore)}`;
         }
     }
     
     /**
-     * Trigger win condition
+     * Fade from the previous tier's palette (grey for the first) to the current tier's
+     */
+    updateTierColors() {
+        const index = this.engine.saturationTier;
+        const tier = this.engine.getSaturationTier(index);
+        
+        this.targetColors = tier.colors;
+        this.startColors = index > 0 ? this.engine.getSaturationTier(index - 1).colors : tier.colors.map(() => 0x808080);
+    }
+    
+    /**
+     * Show the win banner while the current tier's win is waiting to be dismissed
      */
-    triggerWin() {
-        this.hasWon = true;
+    updateWinMessage() {
         const winMessage = document.getElementById('winMessage');
-        if (winMessage) {
-            winMessage.style.display = 'block';
+        if (!winMessage) return;
+        
+        const engine = this.engine;
+        winMessage.style.display = engine.hasWon ? 'block' : 'none';
+        if (!engine.hasWon) return;
+        
+        document.getElementById('winTitle').textContent = `🎉 YOU WIN! Maximum ${engine.tierName} saturation achieved! 🎉`;
+        document.getElementById('continueButton').textContent =
+            `Continue to ${engine.getSaturationTier(engine.saturationTier + 1).name} tier`;
+    }
+    
+    /**
+     * Explosion style for a manual click result (see GameEngine.click)
+     */
+    getBurst(result, face) {
+        const { criticalBurst, comboBurst } = this.config;
+        const comboProgress = this.engine.getComboProgress();
+        const burst = this.createBurst(result.zone, face);
+        
+        // The combo speeds fragments up, and a full combo adds more of them
+        burst.speed *= 1 + comboProgress * comboBurst.speed;
+        if (comboProgress >= 1) {
+            burst.extraPerSide += comboBurst.extraPerSide;
+        }
+        
+        if (result.isCritical) {
+            burst.speed *= criticalBurst.speed;
+            burst.spin *= criticalBurst.spin;
+            burst.extraPerSide += criticalBurst.extraPerSide;
+            burst.highlight = criticalBurst.highlight;
         }
         
-        // Add some celebration effects
-        console.log('🎉 CONGRATULATIONS! You reached maximum saturation! 🎉');
+        return burst;
+    }
+    
+    /**
+     * A plain explosion style for a hit zone, with the face that was hit (if known)
+     */
+    createBurst(zone = 'middle', face = null) {
+        return {
+            ...this.config.bursts[zone],
+            spin: 1,
+            extraPerSide: 0, // Extra fragments along each side of the cube
+            highlight: 0, // Share of fragments in the highlight color
+            normal: face ? face.normal : null // Hit face's normal in the cube's local space
+        };
+    }
+    
+    /**
+     * Show the points earned per second
+     */
+    updateIncomeDisplay() {
+        const incomeDisplay = document.getElementById('incomeDisplay');
+        if (incomeDisplay) {
+            incomeDisplay.textContent = `+${this.formatNumber(this.engine.getEarnRate())}/s`;
+        }
+    }
+    
+    /**
+     * Show the combo meter while a combo is running
+     */
+    updateComboMeter() {
+        const engine = this.engine;
+        const combo = Math.ceil(engine.combo);
+        if (combo === this.shownCombo) return;
+        this.shownCombo = combo;
+        
+        document.getElementById('comboMeter').hidden = combo === 0;
+        document.getElementById('comboFill').style.width = `${engine.getComboProgress() * 100}%`;
+        document.getElementById('comboText').textContent =
+            `🔥 Combo ${combo} · x${engine.getComboMultiplier().toFixed(2)}`;
     }
     
     /**
      * Create explosion effect with fragments
      */
-    explodeCube(impactPoint) {
-        if (this.isExploding) return;
+    explodeCube(cube, impactPoint, burst = this.createBurst()) {
+        const state = cube.userData;
+        if (state.isExploding) return;
         
-        this.isExploding = true;
-        this.cube.visible = false;
+        state.isExploding = true;
+        cube.visible = false;
         
         // Don't clear existing fragments - let them accumulate!
         // this.clearFragments();
         
         // Create fragments
-        this.createFragments(impactPoint);
+        this.createFragments(cube, impactPoint, burst);
+        this.events.emit('explode', { cube, impactPoint, fragments: this.config.fragmentCount, burst });
         
-        // Schedule cube respawn
-        setTimeout(() => {
-            this.respawnCube();
-        }, this.config.explosionDuration + this.config.respawnDelay);
+        // Schedule cube respawn on the game clock
+        this.clock.setTimeout(() => this.respawnCube(cube), this.config.explosionDuration + this.config.respawnDelay);
     }
     
     /**
-     * Create cube fragments for explosion effect
+     * Create cube fragments for explosion effect, in the given burst style (see createBurst)
      */
-    createFragments(impactPoint) {
-        const fragmentSize = 0.22; // Smaller fragments
+    createFragments(cube, impactPoint, burst) {
         const cubeSize = 2;
-        const baseFragmentsPerSide = 3;
-        const fragmentsPerSide = Math.round(baseFragmentsPerSide * (1 + this.upgrades.fragmentCount.level * 0.3));
-        
-        // Calculate current saturation progress
-        const progress = Math.min(this.clickCount / this.maxScore, 1);
+        const sideCount = this.config.fragmentsPerSide + burst.extraPerSide;
+        const fragmentsPerSide = Math.max(1, Math.round(sideCount * this.settings.get('fragmentDetail')));
+        const spacing = cubeSize / fragmentsPerSide;
+        const center = (fragmentsPerSide - 1) / 2;
+        const speed = this.config.explosionForce * this.config.fragmentSpeed * burst.speed;
+        const lift = this.config.fragmentLift * burst.lift;
+        const spin = this.config.fragmentSpin * burst.spin;
+        
+        // Scratch vectors, copied into the pool on spawn
+        const position = new THREE.Vector3();
+        const direction = new THREE.Vector3();
+        const angularVelocity = new THREE.Vector3();
+        
+        // Tint fragments with the current saturation
+        this.updateFragmentColors(this.engine.getSaturationProgress());
+        
+        // Fragments start inside the exploded cube, wherever it is in the grid
+        cube.updateMatrixWorld();
+        
+        // Focused bursts shoot out of the face that was hit
+        const faceNormal = burst.normal && burst.focus > 0
+            ? burst.normal.clone().transformDirection(cube.matrixWorld)
+            : null;
         
         for (let x = 0; x < fragmentsPerSide; x++) {
             for (let y = 0; y < fragmentsPerSide; y++) {
                 for (let z = 0; z < fragmentsPerSide; z++) {
-                    // Create fragment geometry
-                    const geometry = new THREE.BoxGeometry(fragmentSize, fragmentSize, fragmentSize);
-                    
-                    // Use current saturation level for fragments
-                    // Pick a random orange target color
-                    const randomTargetColor = this.targetColors[Math.floor(Math.random() * this.targetColors.length)];
-                    const fragmentColor = this.interpolateColor(0x808080, randomTargetColor, progress);
-                    
-                    const material = new THREE.MeshLambertMaterial({ 
-                        color: fragmentColor
-                    });
-                    const fragment = new THREE.Mesh(geometry, material);
-                    
-                    // Store the target color for future saturation updates
-                    fragment.originalTargetColor = randomTargetColor;
-                    
-                    // Position fragment
-                    fragment.position.set(
-                        (x - 1) * (cubeSize / fragmentsPerSide),
-                        (y - 1) * (cubeSize / fragmentsPerSide),
-                        (z - 1) * (cubeSize / fragmentsPerSide)
+                    // Position fragment within the cube, then move it into world space
+                    position.set(
+                        (x - center) * spacing,
+                        (y - center) * spacing,
+                        (z - center) * spacing
                     );
-                    
-                    // Add current cube rotation
-                    fragment.rotation.copy(this.cube.rotation);
+                    cube.localToWorld(position);
                     
                     // Calculate explosion direction from impact point
-                    const direction = new THREE.Vector3();
-                    direction.subVectors(fragment.position, impactPoint);
+                    direction.subVectors(position, impactPoint);
                     direction.normalize();
                     
                     // Add some randomness
-                    direction.x += (Math.random() - 0.5) * 0.5;
-                    direction.y += (Math.random() - 0.5) * 0.5;
-                    direction.z += (Math.random() - 0.5) * 0.5;
+                    direction.x += (Math.random() - 0.5) * burst.spread;
+                    direction.y += (Math.random() - 0.5) * burst.spread;
+                    direction.z += (Math.random() - 0.5) * burst.spread;
+                    if (faceNormal) {
+                        direction.addScaledVector(faceNormal, burst.focus);
+                    }
                     direction.normalize();
                     
-                    // Set initial velocity
-                    const force = this.config.explosionForce * (0.8 + Math.random() * 0.4);
-                    fragment.velocity = direction.multiplyScalar(force);
-                    fragment.velocity.y += Math.random() * 0.1; // Extra upward velocity
+                    // Set initial velocity (units per second)
+                    direction.multiplyScalar(speed * (0.8 + Math.random() * 0.4));
+                    direction.y += Math.random() * lift; // Extra upward velocity
                     
-                    // Set angular velocity for spinning
-                    fragment.angularVelocity = new THREE.Vector3(
-                        (Math.random() - 0.5) * 0.3,
-                        (Math.random() - 0.5) * 0.3,
-                        (Math.random() - 0.5) * 0.3
+                    // Set angular velocity for spinning (radians per second)
+                    angularVelocity.set(
+                        (Math.random() - 0.5) * spin,
+                        (Math.random() - 0.5) * spin,
+                        (Math.random() - 0.5) * spin
                     );
                     
-                    // Add fragment to scene and array
-                    this.scene.add(fragment);
-                    this.fragments.push(fragment);
+                    // Pick a random face color from the tier palette (or the highlight, which follows it),
+                    // keeping the cube's rotation
+                    const colorIndex = Math.random() < burst.highlight
+                        ? this.targetColors.length
+                        : Math.floor(Math.random() * this.targetColors.length);
+                    this.fragmentPool.spawn(position, cube.rotation, direction, angularVelocity, colorIndex);
                 }
             }
         }
+        
+        this.engine.recordFragments(Math.pow(fragmentsPerSide, 3), this.fragmentPool.count);
     }
     
     /**
-     * Update fragment physics
+     * Update fragment physics by the frame time
      */
-    updateFragments() {
-        for (let i = this.fragments.length - 1; i >= 0; i--) {
-            const fragment = this.fragments[i];
-            
-            // Apply gravity
-            fragment.velocity.y += this.config.gravity;
-            
-            // Update position
-            fragment.position.add(fragment.velocity);
-            
-            // Update rotation
-            fragment.rotation.x += fragment.angularVelocity.x;
-            fragment.rotation.y += fragment.angularVelocity.y;
-            fragment.rotation.z += fragment.angularVelocity.z;
-            
-            // Add air resistance
-            fragment.velocity.multiplyScalar(0.995);
-            fragment.angularVelocity.multiplyScalar(0.995);
-            
-            // Remove fragments that fall too far
-            if (fragment.position.y < -10) {
-                this.scene.remove(fragment);
-                fragment.geometry.dispose();
-                fragment.material.dispose();
-                this.fragments.splice(i, 1);
-            }
-        }
+    updateFragments(dt) {
+        this.fragmentPool.update(dt);
     }
     
     /**
      * Clear all fragments
      */
     clearFragments() {
-        this.fragments.forEach(fragment => {
-            this.scene.remove(fragment);
-            fragment.geometry.dispose();
-            fragment.material.dispose();
-        });
-        this.fragments = [];
+        this.fragmentPool.clear();
     }
     
     /**
-     * Respawn the cube after explosion
+     * Respawn a cube after its explosion, growing it back from its grid position
      */
-    respawnCube() {
-        // Don't clear fragments - let them stay alive!
-        // this.clearFragments();
+    respawnCube(cube) {
+        const state = cube.userData;
         
         // Reset cube properties
-        this.cube.visible = true;
-        this.cube.position.set(0, 0, 0);
-        this.cube.scale.set(0.1, 0.1, 0.1); // Start small
-        
-        // Animate cube growing back
-        const startTime = Date.now();
-        const growDuration = 500;
+        cube.visible = true;
+        state.scale = 0.1; // Start small
+        state.previous.scale = state.scale;
+        state.growStartedAt = this.clock.now();
+    }
+    
+    /**
+     * Remember a cube's simulated values before a step, so rendering can interpolate
+     */
+    storePreviousCubeState(cube) {
+        const state = cube.userData;
+        state.previous = {
+            rotationX: state.rotationX,
+            rotationY: state.rotationY,
+            floatOffset: state.floatOffset,
+            scale: state.scale
+        };
+    }
+    
+    /**
+     * Advance one cube's grow, rotation and floating animation by one simulation step
+     */
+    updateCube(cube, now) {
+        const state = cube.userData;
+        this.storePreviousCubeState(cube);
         
-        const growAnimation = () => {
-            const elapsed = Date.now() - startTime;
-            const progress = Math.min(elapsed / growDuration, 1);
+        if (state.isExploding) {
+            // Waiting to respawn
+            if (!cube.visible) return;
+            
+            // Growing back
+            const progress = Math.min((now - state.growStartedAt) / this.config.growDuration, 1);
             
             // Easing function for smooth growth
             const easeProgress = 1 - Math.pow(1 - progress, 3);
-            const scale = 0.1 + (0.9 * easeProgress);
+            state.scale = 0.1 + (0.9 * easeProgress);
             
-            this.cube.scale.set(scale, scale, scale);
-            
-            if (progress < 1) {
-                requestAnimationFrame(growAnimation);
-            } else {
-                this.cube.scale.set(1, 1, 1);
-                this.isExploding = false;
+            if (progress >= 1) {
+                state.scale = 1;
+                state.growStartedAt = null;
+                state.isExploding = false;
             }
-        };
+            return;
+        }
+        
+        // Smooth rotation interpolation (per fixed step)
+        state.rotationX += (this.targetRotationX - state.rotationX) * this.config.interpolationSpeed;
+        state.rotationY += (this.targetRotationY - state.rotationY) * this.config.interpolationSpeed;
+        
+        // Add subtle floating animation when not being dragged
+        if (this.settings.get('reducedMotion')) {
+            state.floatOffset = 0;
+        } else if (this.pointers.size === 0) {
+            state.floatOffset = Math.sin(now * this.config.floatingSpeed + state.floatPhase) * this.config.floatingAmplitude;
+        }
+    }
+    
+    /**
+     * Place a cube between its last two simulated states
+     */
+    renderCube(cube, alpha) {
+        const state = cube.userData;
+        const previous = state.previous;
+        const lerp = (from, to) => from + (to - from) * alpha;
+        
+        cube.rotation.x = lerp(previous.rotationX, state.rotationX);
+        cube.rotation.y = lerp(previous.rotationY, state.rotationY);
+        cube.position.set(
+            state.basePosition.x,
+            state.basePosition.y + lerp(previous.floatOffset, state.floatOffset),
+            state.basePosition.z
+        );
         
-        growAnimation();
+        const scale = lerp(previous.scale, state.scale);
+        cube.scale.set(scale, scale, scale);
     }
     
     /**
@@ -873,146 +2841,224 @@ class CubeViewer {
     onWindowResize() {
         this.camera.aspect = window.innerWidth / window.innerHeight;
         this.camera.updateProjectionMatrix();
+        this.renderer.setPixelRatio(this.getPixelRatio()); // The window may have moved to another display
         this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.fitCameraToCubes(false);
     }
     
     /**
      * Animation loop
      */
-    animate() {
+    animate(time = performance.now()) {
         requestAnimationFrame(this.animate.bind(this));
         
-        // Always update fragments (so they keep falling and accumulating)
-        if (this.fragments.length > 0) {
-            this.updateFragments();
-        }
+        // Feed real frame time to the clock, which runs the fixed simulation steps
+        const elapsed = this.lastFrameTime ? time - this.lastFrameTime : 0;
+        this.lastFrameTime = time;
+        const alpha = this.clock.advance(elapsed);
         
-        // Only update cube rotation/floating if not exploding
-        if (!this.isExploding) {
-            // Smooth rotation interpolation
-            this.currentRotationX += (this.targetRotationX - this.currentRotationX) * this.config.interpolationSpeed;
-            this.currentRotationY += (this.targetRotationY - this.currentRotationY) * this.config.interpolationSpeed;
-            
-            // Apply rotations to cube
-            this.cube.rotation.x = this.currentRotationX;
-            this.cube.rotation.y = this.currentRotationY;
-            
-            // Add subtle floating animation when not being dragged
-            if (!this.mouseDown) {
-                this.cube.position.y = Math.sin(Date.now() * this.config.floatingSpeed) * this.config.floatingAmplitude;
-            }
-        }
+        // Draw everything between the last two simulated steps
+        this.fragmentPool.render(alpha);
+        this.cubes.forEach(cube => this.renderCube(cube, alpha));
+        this.scorePopups.flush();
         
         // Render the scene
         this.renderer.render(this.scene, this.camera);
     }
     
     /**
-     * Start the animation loop
+     * One fixed simulation step (dt in seconds)
+     */
+    fixedUpdate(dt) {
+        // Always update fragments (so they keep falling and settling)
+        if (this.fragmentPool.count > 0) {
+            this.updateFragments(dt);
+        }
+        
+        // Every cube animates and grows on its own
+        const now = this.clock.now();
+        this.cubes.forEach(cube => this.updateCube(cube, now));
+        
+        if (this.eventCube) {
+            this.updateEventCube(now);
+        }
+        this.updateFragmentRain(dt);
+        this.updateComboMeter();
+        this.updateBuffDisplay();
+        
+        // Plugin scene objects
+        this.sceneUpdates.forEach(update => update(dt));
+    }
+    
+    /**
+     * Start the simulation and the animation loop
      */
     startAnimation() {
+        this.clock.onUpdate(dt => this.fixedUpdate(dt));
         this.animate();
     }
     
+    /**
+     * Pause the game while the tab is hidden and credit the time away on return
+     */
+    setupVisibilityHandling() {
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.pauseGame();
+            } else {
+                this.resumeGame();
+            }
+        });
+    }
+    
+    /**
+     * Stop the clock and audio and save, remembering when play stopped
+     */
+    pauseGame() {
+        if (this.clock.isPaused) return;
+        
+        this.clock.pause();
+        this.audio.suspend();
+        this.pausedAt = Date.now();
+        this.saveGame();
+    }
+    
+    /**
+     * Restart the clock and grant auto-clicker earnings for the paused time
+     */
+    resumeGame() {
+        if (!this.clock.isPaused) return;
+        
+        this.clock.resume();
+        this.audio.resume();
+        this.lastFrameTime = 0; // Don't feed the hidden time to the simulation
+        this.engine.grantOfflineProgress(this.pausedAt);
+        this.pausedAt = null;
+    }
+    
     /**
      * Clean up resources
      */
     dispose() {
-        // Clear fragments
-        this.clearFragments();
+        // Release the fragment pool and floor
+        this.fragmentPool.dispose();
+        this.scene.remove(this.ground);
+        this.ground.geometry.dispose();
+        this.ground.material.dispose();
         
         if (this.renderer) {
             this.renderer.dispose();
         }
         
-        if (this.cube) {
-            this.cube.geometry.dispose();
-            this.cube.material.forEach(material => material.dispose());
+        if (this.audio.context) {
+            this.audio.context.close();
+        }
+        
+        if (this.cubeGeometry) {
+            this.cubeGeometry.dispose();
+            this.baseMaterials.forEach(material => material.dispose());
         }
         
         console.log('Cube Clicker');
     }
     
     /**
-     * Save game state to cookies
+     * Collect the game state to persist
      */
-    saveGame() {
-        const gameState = {
-            clickCount: this.clickCount,
-            upgrades: this.upgrades,
-            rebirthUpgrades: this.rebirthUpgrades,
-            rebirthLevel: this.rebirthLevel,
-            cubeCount: this.cubeCount,
-            scoreMultiplier: this.scoreMultiplier
-        };
-        
-        this.setCookie('cubeClickerSave', JSON.stringify(gameState), 365);
+    getGameState() {
+        return this.engine.serialize();
     }
     
     /**
-     * Load game state from cookies
+     * Replace the current game with a saved game state and refresh the view
      */
-    loadGame() {
-        const saveData = this.getCookie('cubeClickerSave');
-        if (saveData) {
-            try {
-                const gameState = JSON.parse(saveData);
-                
-                this.clickCount = gameState.clickCount || 0;
-                this.upgrades = { ...this.upgrades, ...gameState.upgrades };
-                this.rebirthUpgrades = { ...this.rebirthUpgrades, ...gameState.rebirthUpgrades };
-                this.rebirthLevel = gameState.rebirthLevel || 0;
-                this.cubeCount = gameState.cubeCount || 1;
-                this.scoreMultiplier = gameState.scoreMultiplier || 1;
-                
-                // Update displays
-                this.updateDisplay();
-                this.updateSaturation();
-                this.updateStoreDisplay();
-                
-                console.log('Game loaded successfully - Score:', this.clickCount, 'Multiplier:', this.scoreMultiplier);
-            } catch (error) {
-                console.error('Error loading save data:', error);
-            }
-        } else {
-            console.log('No save data found, starting fresh');
+    applyGameState(gameState) {
+        this.engine.deserialize(gameState);
+        this.removeEventCube(); // Loading clears any random event in play
+        this.resetScoreMilestone(); // No milestone announcements for the score loaded
+        this.updateTierColors();
+        this.updateWinMessage();
+        this.updateGameParameters();
+        
+        // Rebuild the scene if the save has a different number of cubes
+        if (this.cubes.length !== this.engine.cubeCount) {
+            this.clearFragments();
+            this.createCubes();
         }
+        
+        // Update displays
+        this.updateDisplay();
+        this.updateSaturation();
+        this.updateStoreDisplay();
     }
     
     /**
-     * Set a cookie
+     * Save game state to storage
      */
-    setCookie(name, value, days) {
-        const expires = new Date();
-        expires.setTime(expires.getTime() + (days * 24 * 60 * 60 * 1000));
-        document.cookie = `${name}=${value};expires=${expires.toUTCString()};path=/`;
+    saveGame() {
+        const gameState = this.getGameState();
+        return this.storage.save(gameState).then(() => {
+            this.events.emit('save', gameState);
+        }).catch(error => {
+            console.error('Error saving game:', error);
+        });
     }
     
     /**
-     * Get a cookie value
+     * Load game state from storage (migrating older saves)
      */
-    getCookie(name) {
-        const nameEQ = name + "=";
-        const ca = document.cookie.split(';');
-        for (let i = 0; i < ca.length; i++) {
-            let c = ca[i];
-            while (c.charAt(0) === ' ') c = c.substring(1, c.length);
-            if (c.indexOf(nameEQ) === 0) return c.substring(nameEQ.length, c.length);
+    async loadGame() {
+        try {
+            const gameState = await this.storage.load();
+            if (!gameState) {
+                console.log('No save data found, starting fresh');
+                return;
+            }
+            
+            this.applyGameState(gameState);
+            
+            // Credit auto clicks earned while the game was closed
+            this.engine.grantOfflineProgress(gameState.lastSaved);
+            await this.saveGame();
+            
+            console.log('Game loaded successfully - Score:', this.engine.clickCount.toString(), 'Multiplier:', this.engine.scoreMultiplier);
+        } catch (error) {
+            console.error('Error loading save data:', error);
         }
-        return null;
     }
     
     /**
      * Start auto-save timer (saves every 10 seconds)
      */
     startAutoSave() {
-        // Set up auto-save every 10 seconds
-        this.autoSaveInterval = setInterval(() => {
+        // Set up auto-save on the game clock
+        this.autoSaveTimer = this.clock.setInterval(() => {
             this.saveGame();
             console.log('Game auto-saved');
-        }, 10000); // 10000ms = 10 seconds
+        }, this.config.autoSaveInterval);
+        
+        // Keep a few rolling backups on a slower interval
+        this.backupTimer = this.clock.setInterval(() => {
+            this.backupGame();
+        }, this.config.backupInterval);
         
-        console.log('Auto-save started (every 10 seconds)');
+        console.log(`Auto-save started (every ${this.config.autoSaveInterval / 1000} seconds)`);
+    }
+    
+    /**
+     * Keep the income readout, and the Stats panel while it is open, current
+     * (play time and samples are tracked by the engine)
+     */
+    startStatsTracking() {
+        this.statsTimer = this.clock.setInterval(() => {
+            // The earn rate falls while nothing is earned
+            this.updateIncomeDisplay();
+            
+            const statsModal = document.getElementById('statsModal');
+            if (statsModal && statsModal.style.display === 'block') {
+                this.renderStatistics();
+            }
+        }, this.config.statsRefreshRate);
     }
 }
 
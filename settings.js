@@ -0,0 +1,281 @@
+/**
+ * =================================
+ * Cube Clicker - Settings
+ * =================================
+ *
+ * Player preferences, kept per device and separate from the game save
+ */
+
+/**
+ * Dependencies: globals from earlier <script> tags in the browser, require() in Node
+ */
+const SettingsModules = typeof module !== 'undefined' && module.exports
+    ? require('./big-number.js')
+    : { NUMBER_NOTATIONS };
+
+/**
+ * Graphics quality presets
+ *
+ * pixelRatioCap  - Highest device pixel ratio rendered at
+ * shadows        - Whether lights cast shadows
+ * shadowMapSize  - Shadow map resolution in texels per side
+ * antialias      - Multisample antialiasing (recreates the renderer when changed)
+ * fragmentDetail - Share of the explosion fragments per cube side that are spawned
+ * maxFragments   - Live-fragment budget
+ */
+const GRAPHICS_PRESETS = {
+    low: {
+        pixelRatioCap: 1,
+        shadows: false,
+        shadowMapSize: 512,
+        antialias: false,
+        fragmentDetail: 0.5,
+        maxFragments: 500
+    },
+    medium: {
+        pixelRatioCap: 1.5,
+        shadows: true,
+        shadowMapSize: 1024,
+        antialias: true,
+        fragmentDetail: 0.75,
+        maxFragments: 1000
+    },
+    high: {
+        pixelRatioCap: 3,
+        shadows: true,
+        shadowMapSize: 2048,
+        antialias: true,
+        fragmentDetail: 1,
+        maxFragments: 2000
+    }
+};
+
+/**
+ * Keyboard actions and their default keys (KeyboardEvent.code values).
+ * Escape always closes the open panel and Tab moves focus, so neither can be bound.
+ */
+const KEY_ACTIONS = {
+    hit: { name: 'Hit a cube', keys: ['Space', 'Enter'] },
+    rotateLeft: { name: 'Rotate left', keys: ['ArrowLeft'] },
+    rotateRight: { name: 'Rotate right', keys: ['ArrowRight'] },
+    rotateUp: { name: 'Rotate up', keys: ['ArrowUp'] },
+    rotateDown: { name: 'Rotate down', keys: ['ArrowDown'] },
+    zoomIn: { name: 'Zoom in', keys: ['Equal', 'NumpadAdd'] },
+    zoomOut: { name: 'Zoom out', keys: ['Minus', 'NumpadSubtract'] },
+    store: { name: 'Open the store', keys: ['KeyS'] }
+};
+
+/**
+ * Default key for every keyboard action: action → [codes]
+ */
+function createDefaultKeyBindings() {
+    const bindings = {};
+    Object.keys(KEY_ACTIONS).forEach(action => {
+        bindings[action] = [...KEY_ACTIONS[action].keys];
+    });
+    return bindings;
+}
+
+/**
+ * Settings and their defaults
+ *
+ * notation       - Number notation for scores and prices (see NUMBER_NOTATIONS)
+ * graphicsPreset - A GRAPHICS_PRESETS name, or 'custom' once a graphics setting is changed on its own
+ * reducedMotion  - Turn off the cubes' floating bob and the score counter's pop
+ * masterVolume   - Overall volume, 0 to 1
+ * sfxVolume      - Sound effect volume, 0 to 1
+ * musicVolume    - Ambient music volume, 0 to 1
+ * muted          - Silence all audio
+ * music          - Play the ambient loop
+ * submitScores   - Submit wins and rebirths to the online leaderboard
+ * leaderboardUrl - Where leaderboard submissions are posted (see leaderboard.js)
+ * keyBindings    - Keys for each keyboard action: action → [KeyboardEvent.code] (see KEY_ACTIONS)
+ * ...and every graphics setting, defaulting to the high preset
+ */
+const DEFAULT_SETTINGS = {
+    notation: 'standard',
+    graphicsPreset: 'high',
+    ...GRAPHICS_PRESETS.high,
+    reducedMotion: false,
+    masterVolume: 0.8,
+    sfxVolume: 0.8,
+    musicVolume: 0.5,
+    muted: false,
+    music: false,
+    submitScores: false,
+    leaderboardUrl: 'http://localhost:8787/api/leaderboard', // The mock server (mock-cloud-server.js)
+    keyBindings: createDefaultKeyBindings()
+};
+
+// Settings applied to the audio engine
+const AUDIO_SETTINGS = ['masterVolume', 'sfxVolume', 'musicVolume', 'muted', 'music'];
+
+/**
+ * Allowed values for settings that are a fixed choice
+ */
+const SETTING_CHOICES = {
+    notation: SettingsModules.NUMBER_NOTATIONS,
+    graphicsPreset: [...Object.keys(GRAPHICS_PRESETS), 'custom'],
+    pixelRatioCap: [1, 1.5, 2, 3],
+    shadowMapSize: [512, 1024, 2048, 4096],
+    fragmentDetail: [0.5, 0.75, 1],
+    maxFragments: [250, 500, 1000, 2000, 4000]
+};
+
+/**
+ * [min, max] of number settings that are a range
+ */
+const SETTING_RANGES = {
+    masterVolume: [0, 1],
+    sfxVolume: [0, 1],
+    musicVolume: [0, 1]
+};
+
+/**
+ * Loads, validates and stores player settings in localStorage
+ */
+class GameSettings {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'cubeClickerSettings';
+        this.values = { ...DEFAULT_SETTINGS, keyBindings: createDefaultKeyBindings() };
+    }
+
+    /**
+     * Read saved settings, keeping defaults for anything missing or invalid
+     */
+    load() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (error) {
+            console.error('Error loading settings:', error);
+        }
+
+        this.values = { ...DEFAULT_SETTINGS, keyBindings: createDefaultKeyBindings() };
+        Object.keys(saved || {}).forEach(key => {
+            if (this.isValid(key, saved[key])) {
+                this.values[key] = saved[key];
+            }
+        });
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.values));
+        } catch (error) {
+            console.error('Error saving settings:', error);
+        }
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    /**
+     * Change and save a setting (throws for unknown settings or invalid values)
+     *
+     * Choosing a graphics preset sets every graphics setting to match it, and changing
+     * one graphics setting switches the preset to whichever one still matches, or 'custom'.
+     */
+    set(key, value) {
+        if (!this.isValid(key, value)) {
+            throw new Error(`Invalid value ${JSON.stringify(value)} for setting "${key}"`);
+        }
+
+        this.values[key] = value;
+
+        if (key === 'graphicsPreset' && GRAPHICS_PRESETS[value]) {
+            Object.assign(this.values, GRAPHICS_PRESETS[value]);
+        } else if (key in GRAPHICS_PRESETS.high) {
+            this.values.graphicsPreset = this.findGraphicsPreset();
+        }
+
+        this.save();
+    }
+
+    /**
+     * The current graphics settings
+     */
+    getGraphics() {
+        const graphics = {};
+        Object.keys(GRAPHICS_PRESETS.high).forEach(key => {
+            graphics[key] = this.values[key];
+        });
+        return graphics;
+    }
+
+    /**
+     * Name of the preset the graphics settings match, or 'custom'
+     */
+    findGraphicsPreset() {
+        const name = Object.keys(GRAPHICS_PRESETS).find(preset =>
+            Object.keys(GRAPHICS_PRESETS[preset]).every(key => GRAPHICS_PRESETS[preset][key] === this.values[key])
+        );
+        return name || 'custom';
+    }
+
+    /**
+     * Keyboard action bound to a key code, or null
+     */
+    getKeyAction(code) {
+        const bindings = this.values.keyBindings;
+        return Object.keys(bindings).find(action => bindings[action].includes(code)) || null;
+    }
+
+    /**
+     * Make a key the only one for an action, taking it away from any other action
+     */
+    bindKey(action, code) {
+        const bindings = {};
+        Object.keys(this.values.keyBindings).forEach(other => {
+            bindings[other] = this.values.keyBindings[other].filter(existing => existing !== code);
+        });
+        bindings[action] = [code];
+        this.set('keyBindings', bindings);
+    }
+
+    resetKeyBindings() {
+        this.set('keyBindings', createDefaultKeyBindings());
+    }
+
+    /**
+     * Whether a value is allowed for a setting
+     */
+    isValid(key, value) {
+        if (!(key in DEFAULT_SETTINGS)) return false;
+        if (key === 'keyBindings') return GameSettings.isValidKeyBindings(value);
+        if (SETTING_CHOICES[key]) return SETTING_CHOICES[key].includes(value);
+        if (SETTING_RANGES[key]) {
+            return typeof value === 'number' && value >= SETTING_RANGES[key][0] && value <= SETTING_RANGES[key][1];
+        }
+        return typeof value === typeof DEFAULT_SETTINGS[key];
+    }
+
+    /**
+     * Check that key bindings list key codes for exactly the keyboard actions
+     */
+    static isValidKeyBindings(bindings) {
+        if (typeof bindings !== 'object' || bindings === null) return false;
+
+        const actions = Object.keys(KEY_ACTIONS);
+        return Object.keys(bindings).length === actions.length && actions.every(action =>
+            Array.isArray(bindings[action]) &&
+            bindings[action].every(code => typeof code === 'string' && code !== '' && code !== 'Escape' && code !== 'Tab')
+        );
+    }
+}
+
+/**
+ * Export for module systems
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GameSettings,
+        DEFAULT_SETTINGS,
+        SETTING_CHOICES,
+        SETTING_RANGES,
+        GRAPHICS_PRESETS,
+        AUDIO_SETTINGS,
+        KEY_ACTIONS
+    };
+}
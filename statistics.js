@@ -0,0 +1,200 @@
+/**
+ * =================================
+ * Cube Clicker - Statistics
+ * =================================
+ *
+ * Lifetime and per-run play statistics, plus a short
+ * history of the score for the current session
+ */
+
+/**
+ * Dependencies: globals from earlier <script> tags in the browser, require() in Node
+ */
+const StatisticsModules = typeof module !== 'undefined' && module.exports
+    ? require('./big-number.js')
+    : { BigNum };
+
+// Statistics holding point amounts (BigNum, saved as numbers or strings)
+const STATISTIC_AMOUNTS = ['pointsEarned', 'pointsSpent', 'highestScore'];
+
+/**
+ * Tracks play statistics
+ *
+ * Lifetime values are saved with the game state; session score samples are not
+ */
+class GameStatistics {
+    constructor(options = {}) {
+        this.maxRebirthTimes = options.maxRebirthTimes || 10; // Completed runs kept for the average
+        this.maxSessionSamples = options.maxSessionSamples || 120; // Score samples kept for the sparkline
+        this.cpsWindow = options.cpsWindow || 1000; // ms window for measuring clicks per second
+
+        this.values = GameStatistics.createDefaults();
+        this.recentClicks = []; // Timestamps of manual clicks inside the CPS window
+        this.sessionSamples = []; // Score over the current session, oldest first
+    }
+
+    /**
+     * A fresh set of lifetime statistics
+     */
+    static createDefaults() {
+        const { BigNum } = StatisticsModules;
+        return {
+            manualClicks: 0,
+            autoClicks: 0,
+            pointsEarned: BigNum.from(0),
+            pointsSpent: BigNum.from(0),
+            highestScore: BigNum.from(0),
+            bestClicksPerSecond: 0,
+            timePlayed: 0, // Seconds
+            runStartedAt: 0, // timePlayed when the current run started
+            rebirthTimes: [], // Seconds taken by each completed run, newest last
+            fastestWin: null, // Fewest seconds into a run the first tier was won in
+            fragmentsSpawned: 0,
+            criticalHits: 0,
+            bestCombo: 0,
+            randomEventsCaught: 0,
+            predatesTracking: false // Save was started before statistics were tracked, so its totals miss earlier play
+        };
+    }
+
+    /**
+     * Count a manual click and update the best clicks per second
+     */
+    recordManualClick(now = Date.now()) {
+        this.values.manualClicks++;
+
+        this.recentClicks.push(now);
+        while (this.recentClicks[0] <= now - this.cpsWindow) {
+            this.recentClicks.shift();
+        }
+
+        const clicksPerSecond = this.recentClicks.length * 1000 / this.cpsWindow;
+        this.values.bestClicksPerSecond = Math.max(this.values.bestClicksPerSecond, clicksPerSecond);
+    }
+
+    recordAutoClicks(clicks) {
+        this.values.autoClicks += clicks;
+    }
+
+    /**
+     * Count earned points and track the highest score reached
+     */
+    recordEarned(points, score) {
+        const { BigNum } = StatisticsModules;
+        this.values.pointsEarned = this.values.pointsEarned.add(points);
+        this.values.highestScore = BigNum.max(this.values.highestScore, score);
+    }
+
+    recordSpent(points) {
+        this.values.pointsSpent = this.values.pointsSpent.add(points);
+    }
+
+    recordCriticalHit() {
+        this.values.criticalHits++;
+    }
+
+    recordRandomEvent() {
+        this.values.randomEventsCaught++;
+    }
+
+    recordCombo(combo) {
+        this.values.bestCombo = Math.max(this.values.bestCombo, combo);
+    }
+
+    recordFragments(count) {
+        this.values.fragmentsSpawned += count;
+    }
+
+    addPlayTime(seconds) {
+        this.values.timePlayed += seconds;
+    }
+
+    /**
+     * Close the current run and start timing the next one
+     */
+    recordRebirth() {
+        this.values.rebirthTimes.push(this.getRunTime());
+        this.values.rebirthTimes = this.values.rebirthTimes.slice(-this.maxRebirthTimes);
+        this.values.runStartedAt = this.values.timePlayed;
+    }
+
+    /**
+     * Keep the fastest run time to a first tier win
+     */
+    recordFirstTierWin() {
+        const runTime = this.getRunTime();
+        if (this.values.fastestWin === null || runTime < this.values.fastestWin) {
+            this.values.fastestWin = runTime;
+        }
+    }
+
+    /**
+     * Seconds played since the last rebirth
+     */
+    getRunTime() {
+        return this.values.timePlayed - this.values.runStartedAt;
+    }
+
+    /**
+     * Average seconds per completed run (null before the first rebirth)
+     */
+    getAverageRebirthTime() {
+        const times = this.values.rebirthTimes;
+        if (times.length === 0) return null;
+        return times.reduce((sum, time) => sum + time, 0) / times.length;
+    }
+
+    /**
+     * Add a score sample (number or BigNum) for the session sparkline
+     */
+    sampleScore(score, now = Date.now()) {
+        this.sessionSamples.push({ time: now, score });
+        if (this.sessionSamples.length > this.maxSessionSamples) {
+            this.sessionSamples.shift();
+        }
+    }
+
+    /**
+     * Lifetime statistics for saving
+     */
+    getSaveData() {
+        const saveData = { ...this.values, rebirthTimes: [...this.values.rebirthTimes] };
+        STATISTIC_AMOUNTS.forEach(key => {
+            saveData[key] = this.values[key].toJSON();
+        });
+        return saveData;
+    }
+
+    /**
+     * Restore lifetime statistics from a save, defaulting anything missing
+     * (a save without any is marked as predating statistics tracking)
+     */
+    load(saved) {
+        const { BigNum } = StatisticsModules;
+        const values = GameStatistics.createDefaults();
+
+        Object.keys(values).forEach(key => {
+            if (saved && saved[key] !== undefined) {
+                if (STATISTIC_AMOUNTS.includes(key)) {
+                    values[key] = BigNum.from(saved[key]);
+                } else {
+                    values[key] = Array.isArray(values[key]) ? [...saved[key]] : saved[key];
+                }
+            }
+        });
+
+        if (!saved) {
+            values.predatesTracking = true;
+        }
+
+        this.values = values;
+        this.recentClicks = [];
+    }
+}
+
+/**
+ * Export for module systems
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GameStatistics, STATISTIC_AMOUNTS };
+}
@@ -0,0 +1,289 @@
+/**
+ * =================================
+ * Cube Clicker - Save Storage
+ * =================================
+ *
+ * Versioned save persistence backed by localStorage,
+ * with IndexedDB as a fallback when localStorage is unavailable
+ */
+
+// Current save schema version
+const SAVE_VERSION = 4;
+
+/**
+ * Save migrations, indexed by the version they upgrade from.
+ * SAVE_MIGRATIONS[n] turns a version n save into a version n + 1 save.
+ */
+const SAVE_MIGRATIONS = [
+    // 0 -> 1: Cookie saves stored whole upgrade objects (including costs), keep only the levels
+    (save) => {
+        const levelsOnly = (upgrades) => {
+            const levels = {};
+            Object.keys(upgrades || {}).forEach(key => {
+                const upgrade = upgrades[key];
+                levels[key] = typeof upgrade === 'object' && upgrade !== null ? upgrade.level : upgrade;
+            });
+            return levels;
+        };
+
+        return {
+            clickCount: save.clickCount,
+            upgrades: levelsOnly(save.upgrades),
+            rebirthUpgrades: levelsOnly(save.rebirthUpgrades),
+            rebirthLevel: save.rebirthLevel,
+            cubeCount: save.cubeCount,
+            lastSaved: save.lastSaved
+        };
+    },
+
+    // 1 -> 2: Rebirth upgrade levels moved into the single upgrade level map
+    (save) => {
+        const { rebirthUpgrades, ...rest } = save;
+        return {
+            ...rest,
+            upgrades: { ...save.upgrades, ...rebirthUpgrades }
+        };
+    },
+
+    // 2 -> 3: Lifetime click and earning totals moved into the statistics block
+    (save) => {
+        const { totalClicks, totalEarned, ...rest } = save;
+        return {
+            ...rest,
+            statistics: {
+                manualClicks: totalClicks || 0,
+                pointsEarned: totalEarned !== undefined ? totalEarned : (rest.clickCount || 0),
+                highestScore: rest.clickCount || 0,
+                predatesTracking: true // Spending, play time and the rest were never recorded
+            }
+        };
+    },
+
+    // 3 -> 4: Point amounts may be big-number strings ("1.5e400"); plain numbers still load as they are
+    (save) => save
+];
+
+/**
+ * localStorage key/value backend
+ */
+class LocalStorageBackend {
+    /**
+     * Check whether localStorage can actually be written to
+     */
+    static isAvailable() {
+        try {
+            const testKey = '__cubeClickerStorageTest__';
+            window.localStorage.setItem(testKey, testKey);
+            window.localStorage.removeItem(testKey);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async get(key) {
+        const value = window.localStorage.getItem(key);
+        return value === null ? null : JSON.parse(value);
+    }
+
+    async set(key, value) {
+        window.localStorage.setItem(key, JSON.stringify(value));
+    }
+
+    async remove(key) {
+        window.localStorage.removeItem(key);
+    }
+}
+
+/**
+ * IndexedDB key/value backend
+ */
+class IndexedDBBackend {
+    constructor(databaseName = 'cubeClicker', storeName = 'saves') {
+        this.databaseName = databaseName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Check whether IndexedDB exists in this browser
+     */
+    static isAvailable() {
+        return typeof window !== 'undefined' && !!window.indexedDB;
+    }
+
+    /**
+     * Open (and create if needed) the database
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = window.indexedDB.open(this.databaseName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request against the object store
+     */
+    async request(mode, action) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const store = db.transaction(this.storeName, mode).objectStore(this.storeName);
+            const request = action(store);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async get(key) {
+        const value = await this.request('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+
+    async set(key, value) {
+        await this.request('readwrite', store => store.put(value, key));
+    }
+
+    async remove(key) {
+        await this.request('readwrite', store => store.delete(key));
+    }
+}
+
+/**
+ * Versioned, migratable save storage
+ */
+class SaveStorage {
+    constructor(options = {}) {
+        this.saveKey = options.saveKey || 'cubeClickerSave';
+        this.legacyCookieName = options.legacyCookieName || 'cubeClickerSave';
+        this.cookieImportedKey = `${this.saveKey}CookieImported`;
+        this.backupKey = `${this.saveKey}Backups`;
+        this.backupSlots = options.backupSlots || 3;
+        this.backend = options.backend || null;
+    }
+
+    /**
+     * Pick the storage backend on first use
+     */
+    getBackend() {
+        if (!this.backend) {
+            if (LocalStorageBackend.isAvailable()) {
+                this.backend = new LocalStorageBackend();
+            } else if (IndexedDBBackend.isAvailable()) {
+                this.backend = new IndexedDBBackend();
+            } else {
+                throw new Error('No persistent storage available');
+            }
+        }
+        return this.backend;
+    }
+
+    /**
+     * Upgrade a save of any older version to the current schema
+     */
+    static migrate(save) {
+        let version = save.version || 0;
+
+        if (version > SAVE_VERSION) {
+            throw new Error(`Save version ${version} is newer than supported version ${SAVE_VERSION}`);
+        }
+
+        let migrated = save;
+        while (version < SAVE_VERSION) {
+            migrated = SAVE_MIGRATIONS[version](migrated);
+            version++;
+        }
+
+        return { ...migrated, version: SAVE_VERSION };
+    }
+
+    /**
+     * Write the game state with the current schema version
+     */
+    async save(gameState) {
+        await this.getBackend().set(this.saveKey, { ...gameState, version: SAVE_VERSION });
+    }
+
+    /**
+     * Read the saved game state, migrated to the current schema (null if there is no save)
+     */
+    async load() {
+        const backend = this.getBackend();
+        let save = await backend.get(this.saveKey);
+
+        if (!save) {
+            save = await this.importLegacyCookie();
+        }
+
+        return save ? SaveStorage.migrate(save) : null;
+    }
+
+    /**
+     * Store a rolling backup, dropping the oldest once all slots are used
+     */
+    async saveBackup(gameState) {
+        const backups = await this.loadBackups();
+        backups.unshift({ savedAt: Date.now(), save: { ...gameState, version: SAVE_VERSION } });
+        await this.getBackend().set(this.backupKey, backups.slice(0, this.backupSlots));
+    }
+
+    /**
+     * List rolling backups, newest first
+     */
+    async loadBackups() {
+        const backups = await this.getBackend().get(this.backupKey);
+        return Array.isArray(backups) ? backups : [];
+    }
+
+    /**
+     * Import a save from the old cookie format (only ever done once)
+     */
+    async importLegacyCookie() {
+        const backend = this.getBackend();
+        if (await backend.get(this.cookieImportedKey)) return null;
+
+        const cookieValue = this.getCookie(this.legacyCookieName);
+        if (!cookieValue) return null;
+
+        const save = SaveStorage.migrate(JSON.parse(cookieValue));
+        await this.save(save);
+        await backend.set(this.cookieImportedKey, true);
+        this.deleteCookie(this.legacyCookieName);
+
+        console.log('Imported legacy cookie save');
+        return save;
+    }
+
+    /**
+     * Get a cookie value
+     */
+    getCookie(name) {
+        const nameEQ = name + "=";
+        const ca = document.cookie.split(';');
+        for (let i = 0; i < ca.length; i++) {
+            let c = ca[i];
+            while (c.charAt(0) === ' ') c = c.substring(1, c.length);
+            if (c.indexOf(nameEQ) === 0) return c.substring(nameEQ.length, c.length);
+        }
+        return null;
+    }
+
+    /**
+     * Delete a cookie
+     */
+    deleteCookie(name) {
+        document.cookie = `${name}=;expires=Thu, 01 Jan 1970 00:00:00 GMT;path=/`;
+    }
+}
+
+/**
+ * Export for module systems
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SaveStorage, LocalStorageBackend, IndexedDBBackend, SAVE_VERSION, SAVE_MIGRATIONS };
+}
@@ -0,0 +1,70 @@
+/**
+ * =================================
+ * Cube Clicker - Saturation Tiers
+ * =================================
+ *
+ * Successive saturation goals reached after the first win,
+ * each with its own target palette
+ */
+
+/**
+ * Saturation tiers, in order
+ *
+ * name     - Shown in the progress bar
+ * maxScore - Score that fully saturates this tier's palette
+ * colors   - Target color for each cube face (right, left, top, bottom, front, back)
+ *
+ * Each tier fades from the previous tier's palette (grey for the first).
+ * Past the last tier the palettes repeat with maxScore growing by SATURATION_TIER_GROWTH.
+ */
+const SATURATION_TIERS = [
+    {
+        name: 'Orange',
+        maxScore: 1000000,
+        colors: [0xff922f, 0xe6830a, 0xffa347, 0xd4700a, 0xffb366, 0xcc5d0a]
+    },
+    {
+        name: 'Crimson',
+        maxScore: 5000000,
+        colors: [0xe03131, 0xc92a2a, 0xff6b6b, 0xa61e1e, 0xff8787, 0x8f1d1d]
+    },
+    {
+        name: 'Violet',
+        maxScore: 25000000,
+        colors: [0x9c36b5, 0x862e9c, 0xcc5de8, 0x702082, 0xda77f2, 0x5f1a70]
+    },
+    {
+        name: 'Ocean',
+        maxScore: 100000000,
+        colors: [0x1c7ed6, 0x1864ab, 0x4dabf7, 0x0f4c85, 0x74c0fc, 0x0b3d6b]
+    },
+    {
+        name: 'Emerald',
+        maxScore: 500000000,
+        colors: [0x2f9e44, 0x2b8a3e, 0x51cf66, 0x1f6b2e, 0x8ce99a, 0x185524]
+    },
+    {
+        name: 'Gold',
+        maxScore: 2500000000,
+        colors: [0xfab005, 0xf08c00, 0xffd43b, 0xd9a400, 0xffe066, 0xb38600]
+    }
+];
+
+// maxScore factor for each tier past the end of SATURATION_TIERS
+const SATURATION_TIER_GROWTH = 5;
+
+/**
+ * Name of a saturation tier; repeated palettes are numbered ("Orange 2")
+ */
+function getSaturationTierName(index) {
+    const palette = SATURATION_TIERS[index % SATURATION_TIERS.length];
+    if (index < SATURATION_TIERS.length) return palette.name;
+    return `${palette.name} ${Math.floor(index / SATURATION_TIERS.length) + 1}`;
+}
+
+/**
+ * Export for module systems
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SATURATION_TIERS, SATURATION_TIER_GROWTH, getSaturationTierName };
+}
@@ -0,0 +1,510 @@
+/**
+ * =================================
+ * Cube Clicker - Upgrade Catalog
+ * =================================
+ *
+ * Every upgrade is declared once here. The store, the multiplier
+ * maths and the save format are all built from this registry.
+ */
+
+/**
+ * Dependencies: globals from earlier <script> tags in the browser, require() in Node
+ */
+const UpgradeModules = typeof module !== 'undefined' && module.exports
+    ? require('./big-number.js')
+    : { BigNum };
+
+/**
+ * Stats that upgrade effects can modify.
+ * Final value = (base + add) * (1 + percent) * multiply
+ */
+const UPGRADE_STATS = {
+    score: { base: 1 },       // Points per click (the score multiplier)
+    force: { base: 0.3 },     // Explosion force
+    fragments: { base: 3 },   // Fragments along each side of an exploding cube
+    autoClicks: { base: 0 },  // Auto clicks per second
+    cubes: { base: 1 },       // Cubes in play
+    critChance: { base: 0.05 }, // Chance (0 to 1) that a manual click is a critical hit
+    critMultiplier: { base: 5 }, // Points multiplier of a critical hit
+    costScale: { base: 1 },   // Price factor for discountable upgrades
+    autoBuy: { base: 0 }      // Auto-buys the cheapest regular upgrade when above 0
+};
+
+/**
+ * Store sections, in display order
+ *
+ * currency      - 'points' or 'essence' (the prestige currency earned by rebirthing)
+ * isRebirth     - Buying resets score and every upgrade not kept on rebirth
+ * keepOnRebirth - Levels survive a rebirth
+ * discountable  - Prices are scaled by the costScale stat
+ */
+const STORE_SECTIONS = [
+    {
+        id: 'upgrades',
+        title: null,
+        buttonText: 'Buy Upgrade',
+        currency: 'points',
+        discountable: true
+    },
+    {
+        id: 'rebirth',
+        title: '🔄 Rebirth Upgrades',
+        buttonText: 'Rebirth',
+        currency: 'points',
+        isRebirth: true,
+        keepOnRebirth: true
+    },
+    {
+        id: 'prestige',
+        title: '🌳 Rebirth Tree',
+        buttonText: 'Unlock Perk',
+        currency: 'essence',
+        keepOnRebirth: true
+    }
+];
+
+/**
+ * Upgrade definitions
+ *
+ * id          - Unique key, also used in saves
+ * section     - Store section id
+ * name, description, effectText - Store display text
+ * baseCost    - Cost of the first level
+ * multiplier  - Cost growth per level
+ * maxLevel    - Highest level that can be bought (null for no limit)
+ * unlock      - Requirement before it can be bought (null for always):
+ *               { score }, { rebirthLevel } and/or { upgrade, level }
+ * effects     - Per-level stat modifiers: { stat, type: 'add' | 'percent' | 'multiply', value }
+ * startingLevels - Per-level upgrade levels granted at the start of every run (rebirth tree perks)
+ */
+const UPGRADE_CATALOG = [
+    {
+        id: 'explosiveness',
+        section: 'upgrades',
+        name: '💥 Explosiveness',
+        description: 'Increases explosion force and visual effects',
+        effectText: '+25% explosion force, +20% score multiplier per level',
+        baseCost: 10,
+        multiplier: 1.5,
+        maxLevel: null,
+        unlock: null,
+        effects: [
+            { stat: 'force', type: 'percent', value: 0.25 },
+            { stat: 'score', type: 'percent', value: 0.2 }
+        ]
+    },
+    {
+        id: 'fragmentCount',
+        section: 'upgrades',
+        name: '🧩 Fragment Multiplier',
+        description: 'More fragments per explosion for bigger effects',
+        effectText: '+50% more fragments, +30% score multiplier per level',
+        baseCost: 25,
+        multiplier: 1.8,
+        maxLevel: null,
+        unlock: null,
+        effects: [
+            { stat: 'fragments', type: 'percent', value: 0.3 },
+            { stat: 'score', type: 'percent', value: 0.3 }
+        ]
+    },
+    {
+        id: 'scoreMultiplier',
+        section: 'upgrades',
+        name: '⭐ Score Multiplier',
+        description: 'Increases points gained per click',
+        effectText: '+100% score multiplier per level',
+        baseCost: 50,
+        multiplier: 2.0,
+        maxLevel: null,
+        unlock: null,
+        effects: [
+            { stat: 'score', type: 'percent', value: 1.0 }
+        ]
+    },
+    {
+        id: 'explosionForce',
+        section: 'upgrades',
+        name: '🚀 Explosion Power',
+        description: 'Makes fragments fly further and faster',
+        effectText: '+50% fragment velocity, +25% score multiplier per level',
+        baseCost: 100,
+        multiplier: 2.2,
+        maxLevel: null,
+        unlock: null,
+        effects: [
+            { stat: 'force', type: 'percent', value: 0.5 },
+            { stat: 'score', type: 'percent', value: 0.25 }
+        ]
+    },
+    {
+        id: 'precision',
+        section: 'upgrades',
+        name: '🎯 Precision',
+        description: 'Makes critical hits more likely',
+        effectText: '+2% critical hit chance, +15% score multiplier per level',
+        baseCost: 250,
+        multiplier: 2.5,
+        maxLevel: 20,
+        unlock: null,
+        effects: [
+            { stat: 'critChance', type: 'add', value: 0.02 },
+            { stat: 'score', type: 'percent', value: 0.15 }
+        ]
+    },
+    {
+        id: 'autoClicker',
+        section: 'upgrades',
+        name: '🤖 Auto Clicker',
+        description: 'Automatically clicks the cube for you',
+        effectText: '+1 auto click per second, +50% score multiplier per level',
+        baseCost: 500,
+        multiplier: 3.0,
+        maxLevel: null,
+        unlock: null,
+        effects: [
+            { stat: 'autoClicks', type: 'add', value: 1 },
+            { stat: 'score', type: 'percent', value: 0.5 }
+        ]
+    },
+    {
+        id: 'doubleCubes',
+        section: 'rebirth',
+        name: '🎲 Double Cubes',
+        description: 'REBIRTH: Doubles your cubes but resets progress',
+        effectText: '2x cube count, resets score and regular upgrades',
+        baseCost: 100000,
+        multiplier: 10.0,
+        maxLevel: null,
+        unlock: null,
+        effects: [
+            { stat: 'cubes', type: 'multiply', value: 2 }
+        ]
+    },
+
+    // Rebirth tree: permanent perks bought with essence, branching from Essence Infusion
+    {
+        id: 'essenceInfusion',
+        section: 'prestige',
+        name: '💠 Essence Infusion',
+        description: 'A permanent boost to every point you earn',
+        effectText: 'x1.25 score multiplier per level, kept forever',
+        baseCost: 1,
+        multiplier: 2,
+        maxLevel: 10,
+        unlock: null,
+        effects: [
+            { stat: 'score', type: 'multiply', value: 1.25 }
+        ]
+    },
+    {
+        id: 'headStart',
+        section: 'prestige',
+        name: '🏁 Head Start',
+        description: 'Begin every run with Score Multiplier levels already bought',
+        effectText: '+1 starting Score Multiplier level per level',
+        baseCost: 2,
+        multiplier: 2,
+        maxLevel: 5,
+        unlock: { upgrade: 'essenceInfusion', level: 1 },
+        startingLevels: { scoreMultiplier: 1 }
+    },
+    {
+        id: 'factoryReset',
+        section: 'prestige',
+        name: '🏭 Factory Reset',
+        description: 'Begin every run with Auto Clicker levels already bought',
+        effectText: '+1 starting Auto Clicker level per level',
+        baseCost: 4,
+        multiplier: 3,
+        maxLevel: 3,
+        unlock: { upgrade: 'headStart', level: 2 },
+        startingLevels: { autoClicker: 1 }
+    },
+    {
+        id: 'bargainHunter',
+        section: 'prestige',
+        name: '🏷️ Bargain Hunter',
+        description: 'Regular upgrades cost less',
+        effectText: '-5% regular upgrade prices per level',
+        baseCost: 2,
+        multiplier: 2,
+        maxLevel: 10,
+        unlock: { upgrade: 'essenceInfusion', level: 1 },
+        effects: [
+            { stat: 'costScale', type: 'multiply', value: 0.95 }
+        ]
+    },
+    {
+        id: 'autoBuyer',
+        section: 'prestige',
+        name: '🛒 Auto Buyer',
+        description: 'Automatically buys the cheapest affordable regular upgrade',
+        effectText: 'Buys one level every few seconds',
+        baseCost: 10,
+        multiplier: 1,
+        maxLevel: 1,
+        unlock: { upgrade: 'bargainHunter', level: 3 },
+        effects: [
+            { stat: 'autoBuy', type: 'add', value: 1 }
+        ]
+    }
+];
+
+/**
+ * Lookup and maths over the upgrade definitions
+ */
+class UpgradeRegistry {
+    constructor(catalog = UPGRADE_CATALOG, stats = UPGRADE_STATS, sections = STORE_SECTIONS) {
+        this.stats = stats;
+        this.sections = [...sections];
+        this.upgrades = new Map();
+
+        catalog.forEach(definition => this.register(definition));
+    }
+
+    /**
+     * Add an upgrade definition
+     */
+    register(definition) {
+        if (!definition.id || this.upgrades.has(definition.id)) {
+            throw new Error(`Upgrade id "${definition.id}" is missing or already registered`);
+        }
+        if (!this.getSection(definition.section)) {
+            throw new Error(`Upgrade "${definition.id}" uses unknown store section "${definition.section}"`);
+        }
+        (definition.effects || []).forEach(effect => {
+            if (!this.stats[effect.stat]) {
+                throw new Error(`Upgrade "${definition.id}" modifies unknown stat "${effect.stat}"`);
+            }
+        });
+
+        this.upgrades.set(definition.id, {
+            maxLevel: null,
+            unlock: null,
+            effects: [],
+            startingLevels: null,
+            ...definition
+        });
+    }
+
+    /**
+     * Add a store section (see STORE_SECTIONS)
+     */
+    registerSection(section) {
+        if (!section.id || this.getSection(section.id)) {
+            throw new Error(`Store section id "${section.id}" is missing or already registered`);
+        }
+
+        this.sections.push({
+            title: null,
+            buttonText: 'Buy Upgrade',
+            currency: 'points',
+            ...section
+        });
+    }
+
+    /**
+     * Get an upgrade definition by id
+     */
+    get(id) {
+        return this.upgrades.get(id);
+    }
+
+    /**
+     * Get a store section by id
+     */
+    getSection(sectionId) {
+        return this.sections.find(section => section.id === sectionId);
+    }
+
+    /**
+     * List upgrade definitions, optionally only those in one store section
+     */
+    list(sectionId) {
+        const all = Array.from(this.upgrades.values());
+        return sectionId ? all.filter(definition => definition.section === sectionId) : all;
+    }
+
+    /**
+     * Cost of the level after `level`, before rounding (BigNum)
+     */
+    getFirstCost(id, level) {
+        const { BigNum } = UpgradeModules;
+        const definition = this.get(id);
+        return BigNum.from(definition.multiplier).pow(level).mul(definition.baseCost);
+    }
+
+    /**
+     * Cost of buying the next level from the given level (BigNum)
+     */
+    getCost(id, level) {
+        return this.getFirstCost(id, level).floor();
+    }
+
+    /**
+     * Total cost of buying `amount` levels starting at `level` (BigNum).
+     * Costs grow geometrically, so this is the closed-form sum
+     * baseCost * multiplier^level * (multiplier^amount - 1) / (multiplier - 1)
+     */
+    getBulkCost(id, level, amount) {
+        const { BigNum } = UpgradeModules;
+        if (amount <= 0) return BigNum.from(0);
+
+        const definition = this.get(id);
+        const firstCost = this.getFirstCost(id, level);
+
+        if (definition.multiplier === 1) {
+            return firstCost.mul(amount).floor();
+        }
+        return firstCost.mul(BigNum.from(definition.multiplier).pow(amount).sub(1)).div(definition.multiplier - 1).floor();
+    }
+
+    /**
+     * Most levels that `points` (number or BigNum) can buy starting at `level` (respects maxLevel)
+     */
+    getMaxAffordable(id, level, points) {
+        const { BigNum } = UpgradeModules;
+        const definition = this.get(id);
+        const budget = BigNum.from(points);
+        const firstCost = this.getFirstCost(id, level);
+        const remaining = this.getRemainingLevels(id, level);
+
+        // Invert the closed-form sum, then correct for floating point at the boundary
+        let amount = definition.multiplier === 1
+            ? Math.floor(budget.div(firstCost).toNumber())
+            : Math.floor(budget.mul(definition.multiplier - 1).div(firstCost).add(1).log10() / Math.log10(definition.multiplier));
+        amount = Math.max(0, Math.min(amount, remaining));
+
+        while (amount > 0 && this.getBulkCost(id, level, amount).gt(budget)) amount--;
+        while (amount < remaining && this.getBulkCost(id, level, amount + 1).lte(budget)) amount++;
+
+        return amount;
+    }
+
+    /**
+     * Levels left before maxLevel (Infinity when there is no max)
+     */
+    getRemainingLevels(id, level) {
+        const maxLevel = this.get(id).maxLevel;
+        return maxLevel === null ? Infinity : Math.max(0, maxLevel - level);
+    }
+
+    /**
+     * Whether an upgrade is already at its max level
+     */
+    isMaxed(id, level) {
+        const maxLevel = this.get(id).maxLevel;
+        return maxLevel !== null && level >= maxLevel;
+    }
+
+    /**
+     * Whether an upgrade's unlock requirement is met
+     * progress: { score (number or BigNum), rebirthLevel, levels }
+     */
+    isUnlocked(id, progress) {
+        const { BigNum } = UpgradeModules;
+        const unlock = this.get(id).unlock;
+        if (!unlock) return true;
+
+        if (unlock.score !== undefined && BigNum.from(progress.score).lt(unlock.score)) return false;
+        if (unlock.rebirthLevel !== undefined && progress.rebirthLevel < unlock.rebirthLevel) return false;
+        if (unlock.upgrade !== undefined && (progress.levels[unlock.upgrade] || 0) < (unlock.level || 1)) return false;
+
+        return true;
+    }
+
+    /**
+     * Describe an unlock requirement for the store
+     */
+    describeUnlock(id, formatNumber = value => value.toLocaleString()) {
+        const unlock = this.get(id).unlock;
+        if (!unlock) return '';
+
+        const parts = [];
+        if (unlock.score !== undefined) parts.push(`${formatNumber(unlock.score)} points`);
+        if (unlock.rebirthLevel !== undefined) parts.push(`rebirth level ${unlock.rebirthLevel}`);
+        if (unlock.upgrade !== undefined) parts.push(`${this.get(unlock.upgrade).name} level ${unlock.level || 1}`);
+
+        return parts.join(', ');
+    }
+
+    /**
+     * Calculate every stat from a map of upgrade levels, plus any extra effects
+     * that apply once each (e.g. random event buffs)
+     */
+    computeStats(levels, extraEffects = []) {
+        const totals = {};
+        Object.keys(this.stats).forEach(stat => {
+            totals[stat] = { add: 0, percent: 0, multiply: 1 };
+        });
+
+        const applyEffect = (effect, level) => {
+            const total = totals[effect.stat];
+            if (effect.type === 'add') {
+                total.add += effect.value * level;
+            } else if (effect.type === 'percent') {
+                total.percent += effect.value * level;
+            } else if (effect.type === 'multiply') {
+                total.multiply *= Math.pow(effect.value, level);
+            }
+        };
+
+        this.upgrades.forEach((definition, id) => {
+            const level = levels[id] || 0;
+            if (level === 0) return;
+
+            definition.effects.forEach(effect => applyEffect(effect, level));
+        });
+
+        extraEffects.forEach(effect => applyEffect(effect, 1));
+
+        const result = {};
+        Object.keys(this.stats).forEach(stat => {
+            const total = totals[stat];
+            result[stat] = (this.stats[stat].base + total.add) * (1 + total.percent) * total.multiply;
+        });
+        return result;
+    }
+
+    /**
+     * Upgrade levels a new run starts with, from perks with startingLevels
+     */
+    getStartingLevels(levels) {
+        const startingLevels = {};
+
+        this.upgrades.forEach((definition, id) => {
+            const level = levels[id] || 0;
+            if (level === 0 || !definition.startingLevels) return;
+
+            Object.keys(definition.startingLevels).forEach(targetId => {
+                startingLevels[targetId] = (startingLevels[targetId] || 0) + definition.startingLevels[targetId] * level;
+            });
+        });
+
+        return startingLevels;
+    }
+
+    /**
+     * Build a level map for every registered upgrade, taking valid levels from a save
+     */
+    createLevels(savedLevels = {}) {
+        const levels = {};
+        this.upgrades.forEach((definition, id) => {
+            const level = savedLevels[id];
+            levels[id] = Number.isInteger(level) && level > 0 ? level : 0;
+
+            if (definition.maxLevel !== null) {
+                levels[id] = Math.min(levels[id], definition.maxLevel);
+            }
+        });
+        return levels;
+    }
+}
+
+/**
+ * Export for module systems
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { UpgradeRegistry, UPGRADE_CATALOG, UPGRADE_STATS, STORE_SECTIONS };
+}